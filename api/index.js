@@ -3,59 +3,171 @@ const multer = require('multer');
 const fs = require('fs');
 const config = require('../config');
 const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
-const ytdl = require('ytdl-core');
-const ffmpeg = require('fluent-ffmpeg');
 const { v4: uuidv4 } = require('uuid');
+const registry = require('../lib/registry');
+const repos = require('../lib/repos');
+const links = require('../lib/links');
+const youtube = require('../lib/youtube');
+const media = require('../lib/media');
+const ai = require('../lib/ai');
+const qr = require('../lib/qr');
+const sniff = require('../lib/sniff');
+const images = require('../lib/images');
+const remote = require('../lib/remote');
+const sync = require('../lib/sync');
+const expiry = require('../lib/expiry');
+const resumable = require('../lib/resumable');
+const storage = require('../lib/storage');
+const writeQueue = require('../lib/writequeue');
+const jobs = require('../lib/jobs');
+const webhooks = require('../lib/webhooks');
+const signedurls = require('../lib/signedurls');
+const encryption = require('../lib/encryption');
+const apikeys = require('../lib/apikeys');
+const routes = require('../lib/routes');
+const schemas = require('../lib/schemas');
+const logger = require('../lib/logger');
+const metrics = require('../lib/metrics');
 
 const app = express();
+
+// Request ID (a sane incoming X-Request-Id or a fresh one), kept in the logging context for
+// everything the request does. Once the response is done the request is logged and counted
+// under its declared route. Paths are logged without the query, which can carry keys
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id') || '';
+  const requestId = /^[A-Za-z0-9._-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  res.set('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // 499: the client went away before an answer was sent
+    const status = res.headersSent ? res.statusCode : 499;
+    const route = req.route ? req.route.path : 'unmatched';
+    metrics.observeRequest(req.method, route, status, seconds);
+    logger.info('Request', {
+      requestId: requestId,
+      method: req.method,
+      route: route,
+      path: req.path,
+      status: status,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip,
+      apiKeyId: req.apiKey?.id
+    });
+  });
+
+  logger.withContext({ requestId }, next);
+});
+
 app.use(express.json());
 app.set('json spaces', 2);
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Types a browser would run as a page or script when opened from our origin
+const ACTIVE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'application/xml', 'text/xml', 'application/javascript', 'text/javascript'];
+
+// Headers for uploaded bytes served from the API's own origin rather than jsDelivr's: nothing
+// may render or run here, so no sniffing, a sandbox CSP and pages or scripts only as downloads.
+// The name goes out sanitized for old clients and RFC 5987 encoded in filename* for the rest
+function untrustedContentHeaders(fileName, mimeType) {
+  const baseType = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  const disposition = ACTIVE_CONTENT_TYPES.includes(baseType) ? 'attachment' : 'inline';
+  const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return {
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'Content-Disposition': `${disposition}; filename="${sanitizeFileName(fileName)}"; filename*=UTF-8''${encodedName}`
+  };
+}
+
+// Files kept by the local storage driver, served from our origin like /f/
+if (storage.activeDrivers().includes(storage.drivers.local)) {
+  app.use('/storage', express.static(storage.drivers.local.root, {
+    index: false,
+    dotfiles: 'deny',
+    setHeaders: (res, filePath) => {
+      res.set(untrustedContentHeaders(path.basename(filePath), mime.lookup(filePath)));
+    }
+  }));
+}
+
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  if (req.method === 'OPTIONS') {
+  res.header('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Prefer, X-Request-Id, Tus-Resumable, Upload-Length, Upload-Offset, Upload-Metadata, Range');
+  res.header('Access-Control-Expose-Headers', 'Location, Content-Range, Accept-Ranges, X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Quota-Limit, X-Quota-Used, X-Quota-Remaining, X-Quota-Uploads, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Upload-Offset, Upload-Length, Upload-Expires');
+  // tus clients discover the server with OPTIONS, the resumable upload routes answer that
+  if (req.method === 'OPTIONS' && !req.path.startsWith('/api/ladybug/uploads')) {
     res.sendStatus(200);
   } else {
     next();
   }
 });
 
+// Mounts a route declared in the route table (lib/routes.js), its request is validated
+// against the declaration right before the handler runs
+function route(spec, ...handlers) {
+  const handler = handlers.pop();
+  app[spec.method](spec.path, ...handlers, routes.validate(routes.define(spec)), handler);
+}
+
+// express-rate-limit with its refusals counted under name in the rate limit metric
+function limiter(name, options) {
+  return rateLimit({
+    ...options,
+    handler: (req, res, next, { statusCode, message }) => {
+      metrics.recordRateLimited(name);
+      res.status(statusCode).send(message);
+    }
+  });
+}
+
 // Enhanced rate limiting for Ladybug
-const uploadLimiter = rateLimit({
+const uploadLimiter = limiter('uploadLimiter', {
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 15, // 15 uploads/reqs per ip per 5 mins
   message: { error: 'Too many upload attempts, please try again later', service: 'Ladybug CDN' }
 });
 
-const apiLimiter = rateLimit({
+const apiLimiter = limiter('apiLimiter', {
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute for API endpoints
+  skip: req => Boolean(req.apiKey), // API keys carry their own limits
   message: { error: 'API rate limit exceeded', service: 'Ladybug CDN' }
 });
 
-const ytLimiter = rateLimit({
+const fileLimiter = limiter('fileLimiter', {
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 300, // 300 private file requests per minute, players send a Range request per seek
+  message: { error: 'File rate limit exceeded', service: 'Ladybug CDN' }
+});
+
+const ytLimiter = limiter('ytLimiter', {
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 10, // 10 YouTube downloads per 5 minutes
   message: { error: 'YouTube API rate limit exceeded', service: 'Ladybug CDN' }
 });
 
-const aiLimiter = rateLimit({
+const aiLimiter = limiter('aiLimiter', {
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 20, // 20 AI requests per minute
   message: { error: 'AI API rate limit exceeded', service: 'Ladybug CDN' }
 });
 
-const storage = multer.memoryStorage();
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024; // max 100 MBs upload
+
+const memoryStorage = multer.memoryStorage();
 const upload = multer({ 
-  storage: storage,
+  storage: memoryStorage,
   limits: {
-    fileSize: 100 * 1024 * 1024 // max 100 MBs upload
+    fileSize: MAX_UPLOAD_SIZE
   }
 });
 
@@ -63,7 +175,7 @@ function parseMimeTypes(mimeString) {
   try {
     return JSON.parse(mimeString.replace(/'/g, '"'));
   } catch (e) {
-    console.error('Ladybug CDN - Error parsing MIME types:', e);
+    logger.error('Ladybug CDN - Error parsing MIME types', e);
     return [];
   }
 }
@@ -75,6 +187,9 @@ const ALLOWED_MIME_TYPES = [
   ...parseMimeTypes(config.docMimetypes || '[]')
 ];
 
+// Executables and installers need an explicit opt-in on top of the lists above
+const ALLOWED_DANGEROUS_MIME_TYPES = parseMimeTypes(config.allowedDangerousMimetypes || '[]');
+
 // Enhanced Folder Mapping for Ladybug
 const FOLDER_MAP = {
   images: parseMimeTypes(config.imageMimetypes || '[]'),
@@ -114,6 +229,7 @@ const verifyTurnstile = async (req, res, next) => {
   const { turnstileResponse } = req.body;
 
   if (!turnstileResponse) {
+    metrics.recordTurnstile('fail');
     return res.status(400).json({ 
       error: 'CAPTCHA Response is Required',
       service: 'Ladybug CDN',
@@ -136,6 +252,7 @@ const verifyTurnstile = async (req, res, next) => {
     );
 
     if (!response.data.success) {
+      metrics.recordTurnstile('fail');
       return res.status(400).json({ 
         error: 'CAPTCHA verification failed',
         service: 'Ladybug CDN',
@@ -143,9 +260,11 @@ const verifyTurnstile = async (req, res, next) => {
       });
     }
 
+    metrics.recordTurnstile('pass');
     next(); 
   } catch (error) {
-    console.error('Ladybug CDN - Error verifying Turnstile response:', error);
+    metrics.recordTurnstile('error');
+    logger.error('Ladybug CDN - Error verifying Turnstile response', error);
     res.status(500).json({ 
       error: 'Internal Server Error', 
       details: error.message,
@@ -155,93 +274,774 @@ const verifyTurnstile = async (req, res, next) => {
   }
 };
 
-const validateFile = (req, res, next) => {
-  if (!req.file) {
-    return res.status(400).json({ 
-      error: 'No file uploaded',
+// Keys are only minted through the admin API, without it every keyed route would be locked for good
+if (config.requireApiKeys === 'true' && !config.adminToken) {
+  throw new Error('REQUIRE_API_KEYS is on but ADMIN_TOKEN is empty, set ADMIN_TOKEN so API keys can be created');
+}
+
+// Admin routes are enabled by setting ADMIN_TOKEN, callers send it in the X-Admin-Token header
+// Compare digests so the check takes the same time whatever the token length
+function isAdminToken(token) {
+  const expected = crypto.createHash('sha256').update(config.adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token || '').digest();
+  return Boolean(config.adminToken) && crypto.timingSafeEqual(expected, actual);
+}
+
+// Which file records a caller may read: all of them with the admin token, the ones uploaded
+// with its API key otherwise. null when it has neither
+function fileScope(req) {
+  if (isAdminToken(req.get('X-Admin-Token'))) {
+    return () => true;
+  }
+  if (req.apiKey) {
+    return record => record.apiKeyId === req.apiKey.id;
+  }
+  return null;
+}
+
+// Who may act on one file: the API key that uploaded it, its deleteKey (X-Delete-Key or the
+// body's deleteKey) or the admin token. Files indexed by a sync only have the last two
+function isFileOwner(req, record) {
+  const deleteKey = req.get('X-Delete-Key') || req.body?.deleteKey;
+  return Boolean(req.apiKey && record.apiKeyId === req.apiKey.id)
+    || registry.verifyDeleteKey(record, deleteKey)
+    || isAdminToken(req.get('X-Admin-Token'));
+}
+
+const requireAdmin = (req, res, next) => {
+  if (!config.adminToken) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is disabled, set ADMIN_TOKEN to enable it',
       service: 'Ladybug CDN',
-      code: 'NO_FILE'
+      code: 'ADMIN_DISABLED'
     });
   }
 
-  if (!ALLOWED_MIME_TYPES.includes(req.file.mimetype)) {
-    return res.status(400).json({ 
-      error: 'File type not allowed',
+  if (!isAdminToken(req.get('X-Admin-Token'))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin token',
       service: 'Ladybug CDN',
-      code: 'INVALID_FILE_TYPE'
+      code: 'INVALID_ADMIN_TOKEN'
+    });
+  }
+
+  next();
+};
+
+// One limiter per key and limit setting, so editing a key's limits takes effect at once
+const keyLimiters = new Map();
+
+function getKeyLimiter(apiKey) {
+  const { windowMs, max } = apiKey.rateLimit;
+  const cacheKey = `${apiKey.id}:${windowMs}:${max}`;
+
+  if (!keyLimiters.has(cacheKey)) {
+    keyLimiters.set(cacheKey, limiter('keyLimiter', {
+      windowMs: windowMs,
+      max: max,
+      keyGenerator: () => apiKey.id,
+      standardHeaders: true,
+      legacyHeaders: false,
+      validate: { creationStack: false },
+      message: { error: 'API key rate limit exceeded', service: 'Ladybug CDN', code: 'KEY_RATE_LIMITED' }
+    }));
+  }
+
+  return keyLimiters.get(cacheKey);
+}
+
+function setQuotaHeaders(res, apiKey) {
+  const usage = apikeys.getUsage(apiKey);
+  res.set('X-Quota-Used', String(usage.bytes));
+  res.set('X-Quota-Uploads', String(usage.uploads));
+
+  if (apiKey.dailyUploadBytes) {
+    res.set('X-Quota-Limit', String(apiKey.dailyUploadBytes));
+    res.set('X-Quota-Remaining', String(Math.max(0, apiKey.dailyUploadBytes - usage.bytes)));
+  }
+}
+
+// Bearer API key for the no-CAPTCHA upload routes, anonymous access only when REQUIRE_API_KEYS is off
+const authenticateApiKey = (req, res, next) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+
+  if (!match) {
+    if (config.requireApiKeys !== 'true') return next();
+    return res.status(401).json({
+      success: false,
+      error: 'API key is required, send it as "Authorization: Bearer <key>"',
+      service: 'Ladybug CDN',
+      code: 'NO_API_KEY'
+    });
+  }
+
+  const apiKey = apikeys.findByKey(match[1]);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key',
+      service: 'Ladybug CDN',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  req.apiKey = apiKey;
+  setQuotaHeaders(res, apiKey);
+  getKeyLimiter(apiKey)(req, res, next);
+};
+
+// For routes that only store something on the CDN when asked to: storing(req) decides whether
+// the request goes through authenticateApiKey, everything else about the route stays open
+function authenticateApiKeyWhen(storing) {
+  return (req, res, next) => storing(req) ? authenticateApiKey(req, res, next) : next();
+}
+
+// Folder and daily byte checks for keyed uploads, returns the rejection or null
+function checkKeyQuota(apiKey, folder, bytes) {
+  if (!apiKey) return null;
+
+  if (apiKey.allowedFolders && !apiKey.allowedFolders.includes(folder)) {
+    return { status: 403, error: `This API key cannot upload to ${folder}`, code: 'FOLDER_NOT_ALLOWED' };
+  }
+
+  const usage = apikeys.getUsage(apiKey);
+  if (apiKey.dailyUploadBytes && usage.bytes + bytes > apiKey.dailyUploadBytes) {
+    return { status: 429, error: 'Daily upload quota exceeded for this API key', code: 'QUOTA_EXCEEDED' };
+  }
+
+  return null;
+}
+
+// Does the content back up the type the client claimed?
+function contentMatchesType(claimed, detected) {
+  if (claimed === 'application/octet-stream') return true;
+  if (!detected) return !sniff.SIGNED_MIME_TYPES.includes(claimed) && !sniff.isTextType(claimed);
+  if (detected.text) return sniff.isTextType(claimed) || claimed === detected.mime;
+  return detected.compatible.includes(claimed);
+}
+
+// Returns the rejection for a file that breaks the upload rules, or null when it is fine.
+// Sets file.detectedMime, the type the rest of the upload (folder routing included) goes by.
+function checkFile(file) {
+  if (!file) {
+    return { status: 400, error: 'No file uploaded', code: 'NO_FILE' };
+  }
+
+  const claimed = file.mimetype;
+  const detected = sniff.detect(file.buffer);
+
+  const dangerous = [claimed, detected && detected.mime]
+    .find(type => sniff.DANGEROUS_MIME_TYPES.includes(type) && !ALLOWED_DANGEROUS_MIME_TYPES.includes(type));
+  if (dangerous) {
+    return { status: 400, error: `File type ${dangerous} is not accepted on this CDN`, code: 'DANGEROUS_FILE_TYPE' };
+  }
+
+  if (!ALLOWED_MIME_TYPES.includes(claimed)) {
+    return { status: 400, error: 'File type not allowed', code: 'INVALID_FILE_TYPE' };
+  }
+
+  if (!contentMatchesType(claimed, detected)) {
+    return {
+      status: 400,
+      error: `File content does not match its declared type ${claimed}${detected ? ` (looks like ${detected.mime})` : ''}`,
+      code: 'MIME_MISMATCH'
+    };
+  }
+
+  // Text and container formats the signature can't pin down keep the (matching) claimed type
+  const useClaimed = !detected || detected.text || (detected.generic && claimed !== 'application/octet-stream');
+  file.detectedMime = useClaimed ? claimed : detected.mime;
+  return null;
+}
+
+const validateFile = (req, res, next) => {
+  const rejection = checkFile(req.file);
+
+  if (rejection) {
+    return res.status(rejection.status).json({ 
+      error: rejection.error,
+      service: 'Ladybug CDN',
+      code: rejection.code
     });
   }
 
   next();
 };
 
-// Upload function
-async function uploadToGitHub(file, folder, res, includeTurnstile = true, customId = null) {
-  const fileId = customId || makeId();
-  const originalFileName = `${fileId}_${file.originalname}`;
-  const fileName = originalFileName
+// Picks a random file ID that is neither registered nor in the reserved set
+function newFileId(reserved = new Set()) {
+  let fileId;
+  do {
+    fileId = makeId();
+  } while (registry.hasFile(fileId) || reserved.has(fileId));
+  return fileId;
+}
+
+function sanitizeFileName(name) {
+  return name
     .replace(/\s+/g, '-')
     .replace(/[^a-zA-Z0-9-._]/g, '');
-  const filePath = `${folder}/${fileName}`;
-  const fileContent = file.buffer.toString('base64');
+}
 
-  try {
-    const apiUrl = `${config.githubApiUrl}/repos/${config.githubUser}/${config.githubRepo}/contents/${filePath}`;
-    const headers = {
-      'Authorization': `token ${config.githubToken}`,
-      'Content-Type': 'application/json',
-      'User-Agent': 'Ladybug-CDN-Upload-Service'
-    };
+function cleanFileName(fileId, originalName) {
+  return sanitizeFileName(`${fileId}_${originalName}`);
+}
 
-    const data = {
-      message: `Uploaded via Ladybug CDN - ${fileName}`,
-      content: fileContent,
-      branch: config.repoBranch || 'main'
+// SHA-256 of the upload, cached on the multer file object
+function fileHash(file) {
+  if (!file.sha256) {
+    file.sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  }
+  return file.sha256;
+}
+
+// Looks for identical content in the registry first, then in storage itself where the
+// driver can search by content (GitHub blob SHAs)
+async function findDuplicate(file) {
+  const record = registry.findByHash(fileHash(file));
+  if (record) {
+    return {
+      rawUrl: record.rawUrl,
+      pinnedUrl: record.pinnedUrl || undefined,
+      fileId: record.fileId,
+      fileName: record.fileName,
+      folder: record.folder
     };
+  }
+
+  for (const driver of storage.activeDrivers().filter(item => item.findContent && !item.private)) {
+    const existing = await driver.findContent(file.buffer);
+    // Same rule as findByHash for what the tree scan finds: an expiring file's path dies with
+    // it and a private file's must not be handed out
+    const owner = existing && registry.findByPath(driver.name, existing.location, existing.path);
+    if (existing && !(owner && (owner.expiresAt || owner.visibility === 'private'))) {
+      return {
+        rawUrl: driver.publicUrl(existing.path, existing.location),
+        fileName: path.posix.basename(existing.path),
+        folder: path.posix.dirname(existing.path)
+      };
+    }
+  }
+
+  return null;
+}
+
+function duplicateResponse(file, duplicate) {
+  return {
+    ...duplicate,
+    fileSize: file.size,
+    mimeType: file.detectedMime || file.mimetype,
+    deduplicated: true
+  };
+}
+
+function getBaseUrl(req) {
+  return config.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+// Works out what has to be stored for a file. Anything above the driver's maxObjectSize is
+// split into numbered parts plus a manifest, the download route puts them back together.
+// Image variants (thumbnails, conversions) are stored next to the original.
+function planUpload(file, folder, fileId, variants = [], maxObjectSize = Infinity) {
+  const fileName = cleanFileName(fileId, file.originalname);
+  const filePath = `${folder}/${fileName}`;
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  const plan = { file, folder, fileId, fileName, path: filePath, blobs: [], parts: null, variants: [] };
+
+  for (const variant of variants) {
+    // A conversion keeps the original name with its own extension, e.g. photo.jpg -> photo.webp
+    const suffix = variant.name === variant.ext ? '' : `.${variant.name}`;
+    const variantPath = `${folder}/${baseName}${suffix}.${variant.ext}`;
+    plan.variants.push({ ...variant, path: variantPath });
+    plan.blobs.push({ path: variantPath, content: variant.buffer, mimeType: variant.mimeType });
+  }
+
+  const mimeType = file.detectedMime || file.mimetype;
+  if (file.size <= maxObjectSize) {
+    plan.blobs.unshift({ path: filePath, content: file.buffer, mimeType: mimeType });
+    return plan;
+  }
+
+  plan.parts = [];
+  for (let offset = 0; offset < file.size; offset += maxObjectSize) {
+    const chunk = file.buffer.subarray(offset, offset + maxObjectSize);
+    const partPath = `${filePath}.part${String(plan.parts.length + 1).padStart(3, '0')}`;
+    plan.parts.push({ path: partPath, size: chunk.length });
+    plan.blobs.push({ path: partPath, content: chunk, mimeType: 'application/octet-stream' });
+  }
+
+  plan.manifestPath = `${filePath}.manifest.json`;
+  const manifest = {
+    service: 'Ladybug CDN',
+    fileName: fileName,
+    mimeType: mimeType,
+    fileSize: file.size,
+    partSize: maxObjectSize,
+    parts: plan.parts
+  };
+  plan.blobs.push({ path: plan.manifestPath, content: Buffer.from(JSON.stringify(manifest, null, 2)), mimeType: 'application/json' });
+
+  return plan;
+}
+
+// Records a stored plan in the registry. stored is what driver.put resolved with,
+// { location, commitSha, ids: { path: id } }. repo holds the driver's location (GitHub or
+// GitLab repo, S3 bucket, null on local disk) and sha its object ID (blob SHA, ETag).
+// encrypted is { algorithm, kdf, mimeType, fileSize } of the plaintext for encrypted uploads.
+function registerUpload(plan, stored, { driver, source, uploaderIp, apiKeyId, baseUrl, expiresAt, encrypted = null }) {
+  const chunked = Boolean(plan.parts);
+  const deleteKey = registry.generateDeleteKey();
+  const objectId = objectPath => stored.ids[objectPath] || null;
+  const pinnedUrl = objectPath => driver.pinnedUrl && stored.commitSha ? driver.pinnedUrl(objectPath, stored.location, stored.commitSha) : null;
+  const record = registry.addFile({
+    fileId: plan.fileId,
+    fileName: plan.fileName,
+    folder: plan.folder,
+    path: plan.path,
+    storage: driver.name,
+    visibility: driver.private ? 'private' : 'public',
+    repo: stored.location,
+    branch: driver.branch || null,
+    sha: objectId(chunked ? plan.manifestPath : plan.path),
+    commitSha: stored.commitSha || null,
+    rawUrl: driver.private ? null : chunked ? `${baseUrl}/api/ladybug/files/${plan.fileId}/download` : driver.publicUrl(plan.path, stored.location, baseUrl),
+    pinnedUrl: chunked ? null : pinnedUrl(plan.path),
+    fileSize: plan.file.size,
+    mimeType: plan.file.detectedMime || plan.file.mimetype,
+    sha256: fileHash(plan.file),
+    chunked: chunked,
+    manifestPath: plan.manifestPath,
+    parts: chunked ? plan.parts.map(part => ({ ...part, sha: objectId(part.path) })) : undefined,
+    variants: plan.variants.length ? Object.fromEntries(plan.variants.map(variant => [variant.name, {
+      path: variant.path,
+      sha: objectId(variant.path),
+      rawUrl: driver.publicUrl(variant.path, stored.location, baseUrl),
+      pinnedUrl: pinnedUrl(variant.path),
+      fileSize: variant.size,
+      mimeType: variant.mimeType,
+      width: variant.width,
+      height: variant.height
+    }])) : undefined,
+    source: source,
+    uploaderIp: uploaderIp,
+    apiKeyId: apiKeyId,
+    uploadedAt: new Date().toISOString(),
+    expiresAt: expiresAt || null,
+    encryption: encrypted || undefined
+  }, deleteKey);
+  metrics.recordUpload(record.folder, record.fileSize);
+
+  return { record, deleteKey };
+}
+
+// Private files have no rawUrl, they come back with a signed URL that lasts SIGNED_URL_TTL
+function uploadResponse(record, deleteKey, baseUrl) {
+  const signed = record.visibility === 'private' ? signedurls.createSignedUrl(baseUrl, record.fileId) : null;
+  return {
+    rawUrl: record.rawUrl,
+    pinnedUrl: record.pinnedUrl || undefined,
+    signedUrl: signed?.url,
+    signedUrlExpiresAt: signed?.expiresAt,
+    visibility: record.visibility,
+    fileId: record.fileId,
+    fileName: record.fileName,
+    folder: record.folder,
+    fileSize: record.fileSize,
+    mimeType: record.mimeType,
+    chunked: record.chunked,
+    parts: record.chunked ? record.parts.length : undefined,
+    variants: record.variants
+      ? Object.fromEntries(Object.entries(record.variants).map(([name, variant]) => [
+        name,
+        signed ? signedurls.createSignedUrl(baseUrl, record.fileId, { variant: name }).url : variant.rawUrl
+      ]))
+      : undefined,
+    expiresAt: record.expiresAt || undefined,
+    encryption: record.encryption,
+    decryptUrl: record.encryption ? `${baseUrl}/api/ladybug/files/${record.fileId}/decrypt` : undefined,
+    deleteKey: deleteKey
+  };
+}
+
+// Clears the CDN's cached copies of a record's files where its driver sits behind one.
+// Resolves with the result per path, or null when there is no CDN to purge
+function purgeRecord(record) {
+  const driver = storage.driverForRecord(record);
+  if (!driver.purge) {
+    return Promise.resolve(null);
+  }
+  return driver.purge(registry.recordPaths(record), record.repo);
+}
+
+// Stores a file with whichever storage driver its visibility, folder and size route to
+async function storeFile(file, folder, { fileId, source, uploaderIp, apiKeyId, baseUrl, variants = [], expiresAt = null, visibility = 'public', encrypted = null }) {
+  const driver = storage.driverFor({ folder, size: file.size, visibility });
+  const plan = planUpload(file, folder, fileId, variants, driver.maxObjectSize);
+  const totalBytes = file.size + plan.variants.reduce((sum, variant) => sum + variant.size, 0);
+  const stored = await writeQueue.put(driver, plan.blobs, { message: `Uploaded via Ladybug CDN - ${plan.fileName}`, bytes: totalBytes });
+  return registerUpload(plan, stored, { driver, source, uploaderIp, apiKeyId, baseUrl, expiresAt, encrypted });
+}
+
+// An upload outcome as { status, body }, usage is the API key's quota after a stored upload
+function failure(status, error, code) {
+  return {
+    status: status,
+    body: { success: false, error: error, service: 'Ladybug CDN', code: code }
+  };
+}
+
+function sendResult(res, { status, body, usage }) {
+  if (usage) {
+    setQuotaHeaders(res, usage);
+  }
+  res.status(status).json(body);
+}
+
+// Answers 202 with a job to poll, run resolves with an upload outcome
+function acceptJob(req, res, type, run) {
+  const job = jobs.createJob({ type: type, apiKeyId: req.apiKey?.id }, run);
+  const statusUrl = `${getBaseUrl(req)}/api/ladybug/jobs/${job.jobId}`;
+
+  res.status(202).location(statusUrl).json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      jobId: job.jobId,
+      status: job.status,
+      statusUrl: statusUrl
+    },
+    timestamp: job.createdAt
+  });
+}
+
+// Checks that don't need the upload to run: quota and a free custom ID
+function checkUpload(file, folder, { customId = null, apiKey = null }) {
+  const quotaRejection = checkKeyQuota(apiKey, folder, file.size);
+  if (quotaRejection) {
+    return quotaRejection;
+  }
+
+  if (customId && registry.hasFile(customId)) {
+    return { status: 409, error: 'File ID is already in use', code: 'FILE_ID_TAKEN' };
+  }
 
-    await axios.put(apiUrl, data, { headers });
+  return null;
+}
 
-    const rawUrl = `${config.cdnApiUrl}/${config.githubUser}/${config.githubRepo}@${config.repoBranch || 'main'}/${filePath}`;
-    res.json({ 
-      success: true, 
-      rawUrl: rawUrl,
-      fileId: fileId,
-      fileName: fileName,
+// upload.failed carries what is known about the file, there is no record of it
+function emitUploadFailed(file, folder, error, code) {
+  webhooks.emit('upload.failed', folder, {
+    file: {
+      fileName: file.originalname,
       folder: folder,
       fileSize: file.size,
-      mimeType: file.mimetype,
-      service: 'Ladybug CDN',
-      timestamp: new Date().toISOString()
+      mimeType: file.detectedMime || file.mimetype
+    },
+    error: error,
+    code: code
+  });
+}
+
+// Upload function, resolves with the outcome rather than sending it so async jobs can keep it
+// options: { source: 'web' | 'api' | 'url' | 'resumable', customId, dedupe, apiKey, image: { stripExif, thumbnails, convert }, expiresIn (seconds), visibility, encrypt: { passphrase } }
+async function uploadFile(file, folder, req, options = {}) {
+  const { source = 'web', customId = null, dedupe = true, apiKey = null, image = null, expiresIn = null, visibility = 'public', encrypt = null } = options;
+
+  let variants = [];
+  if (image) {
+    try {
+      const processed = await images.processImage(file.buffer, file.detectedMime, image);
+      variants = processed.variants;
+      if (processed.original) {
+        file = { ...file, buffer: processed.original.buffer, size: processed.original.size, sha256: undefined };
+      }
+    } catch (error) {
+      logger.error('Ladybug CDN - Error processing image', error);
+      emitUploadFailed(file, folder, `Could not process image: ${error.message}`, 'IMAGE_PROCESSING_FAILED');
+      return failure(422, `Could not process image: ${error.message}`, 'IMAGE_PROCESSING_FAILED');
+    }
+  }
+
+  try {
+    // A custom ID asks for a new file under that name, processed images get their own variants,
+    // expiring files must not be shared with anything that outlives them and a private or
+    // encrypted file must not turn into a link to a readable copy, so none of these are deduplicated
+    const duplicate = dedupe && !customId && !image && !expiresIn && visibility !== 'private' && !encrypt ? await findDuplicate(file) : null;
+    if (duplicate) {
+      webhooks.emit('upload.succeeded', duplicate.folder, { file: duplicateResponse(file, duplicate) });
+      return {
+        status: 200,
+        body: {
+          success: true,
+          ...duplicateResponse(file, duplicate),
+          service: 'Ladybug CDN',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    // Sealed before anything is written, storage only ever sees the ciphertext
+    let encrypted = null;
+    let encryptionKey = null;
+    if (encrypt) {
+      const sealed = await encryption.encrypt(file.buffer, encrypt);
+      encrypted = { algorithm: encryption.ALGORITHM, kdf: sealed.kdf, mimeType: file.detectedMime || file.mimetype, fileSize: file.size };
+      encryptionKey = sealed.key;
+      file = {
+        ...file,
+        originalname: `${file.originalname}.enc`,
+        mimetype: 'application/octet-stream',
+        detectedMime: 'application/octet-stream',
+        buffer: sealed.buffer,
+        size: sealed.buffer.length,
+        sha256: undefined
+      };
+    }
+
+    const { record, deleteKey } = await storeFile(file, folder, {
+      fileId: customId || newFileId(),
+      source: source,
+      uploaderIp: req.ip,
+      apiKeyId: apiKey?.id,
+      baseUrl: getBaseUrl(req),
+      variants: variants,
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+      visibility: visibility,
+      encrypted: encrypted
     });
 
+    webhooks.emit('upload.succeeded', record.folder, { file: registry.toPublic(record) });
+
+    // A custom ID can bring back the path of a deleted file that jsDelivr still has cached
+    if (customId) {
+      purgeRecord(record);
+    }
+
+    const variantBytes = variants.reduce((sum, variant) => sum + variant.size, 0);
+    return {
+      status: 200,
+      body: {
+        success: true,
+        ...uploadResponse(record, deleteKey, getBaseUrl(req)),
+        // The only time the key is seen, nothing on the server can decrypt the file without it
+        encryptionKey: encryptionKey || undefined,
+        service: 'Ladybug CDN',
+        timestamp: record.uploadedAt
+      },
+      usage: apiKey ? apikeys.recordUsage(apiKey.id, file.size + variantBytes) : null
+    };
+
   } catch (error) {
-    console.error('Ladybug CDN - Error uploading file:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      service: 'Ladybug CDN',
-      code: 'UPLOAD_FAILED'
-    });
+    logger.error('Ladybug CDN - Error uploading file', error);
+    emitUploadFailed(file, folder, error.message, 'UPLOAD_FAILED');
+    return failure(500, error.message, 'UPLOAD_FAILED');
+  }
+}
+
+// Sends the upload's outcome, or with options.async answers 202 and leaves it on a job
+async function uploadToGitHub(file, folder, res, options = {}) {
+  const rejection = checkUpload(file, folder, options);
+  if (rejection) {
+    return sendResult(res, failure(rejection.status, rejection.error, rejection.code));
+  }
+
+  if (options.async) {
+    return acceptJob(res.req, res, 'upload', () => uploadFile(file, folder, res.req, options));
+  }
+
+  sendResult(res, await uploadFile(file, folder, res.req, options));
+}
+
+// Multipart fields arrive as strings, anything but an explicit "false" keeps deduplication on
+function wantsDedupe(req) {
+  const value = req.body?.dedupe ?? req.query.dedupe;
+  return value === undefined || String(value).toLowerCase() !== 'false';
+}
+
+// async=true or "Prefer: respond-async" (RFC 7240) asks for a 202 and a job to poll
+function wantsAsync(req) {
+  const value = req.body?.async ?? req.query.async;
+  return ['true', '1'].includes(String(value).toLowerCase()) || /\brespond-async\b/i.test(req.get('Prefer') || '');
+}
+
+const MAX_EXPIRES_IN = parseInt(config.maxExpiresIn) || 30 * 24 * 60 * 60;
+
+// expiresIn (seconds) on an upload request. Returns { expiresIn } with null for a
+// permanent upload, or { rejection }
+function expiryOption(req) {
+  return parseExpiresIn(req.body?.expiresIn ?? req.query.expiresIn);
+}
+
+function parseExpiresIn(value) {
+  if (value === undefined || value === '') {
+    return { expiresIn: null };
+  }
+
+  const expiresIn = Number(value);
+  if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > MAX_EXPIRES_IN) {
+    return { rejection: { status: 400, error: `expiresIn must be a number of seconds between 60 and ${MAX_EXPIRES_IN}`, code: 'INVALID_EXPIRY' } };
+  }
+  return { expiresIn };
+}
+
+// visibility on an upload request, "public" unless "private" is asked for. Returns
+// { visibility } or { rejection }
+function visibilityOption(req) {
+  return parseVisibility(req.body?.visibility ?? req.query.visibility);
+}
+
+function parseVisibility(value) {
+  if (value === undefined || value === '') {
+    return { visibility: 'public' };
+  }
+  if (!['public', 'private'].includes(value)) {
+    return { rejection: { status: 400, error: 'visibility must be public or private', code: 'INVALID_VISIBILITY' } };
+  }
+  if (value === 'private' && !signedurls.isEnabled()) {
+    return { rejection: { status: 400, error: 'Private uploads are disabled, set GITHUB_PRIVATE_REPO and SIGNED_URL_SECRET to enable them', code: 'PRIVATE_UPLOADS_DISABLED' } };
+  }
+  return { visibility: value };
+}
+
+// encrypt=true (random key) or a passphrase (body only, it must not end up in access logs)
+// on an upload request. Returns { encrypt } with null for a plain upload, or { rejection }
+function encryptOption(req, image = null) {
+  const passphrase = req.body?.passphrase ?? null;
+  const wanted = ['true', '1'].includes(String(req.body?.encrypt ?? req.query.encrypt ?? '').toLowerCase()) || passphrase !== null;
+  if (!wanted) {
+    return { encrypt: null };
+  }
+
+  // The passphrase itself is checked against uploadFields.passphrase
+  if (image) {
+    return { rejection: { status: 400, error: 'Image options can\'t be combined with encryption', code: 'ENCRYPTION_UNSUPPORTED' } };
+  }
+  return { encrypt: { passphrase } };
+}
+
+// Upload options, declared for the routes that take them. Everything but the passphrase may
+// also come in the query string
+const uploadFields = {
+  customId: { type: 'string', description: 'Optional custom ID' },
+  dedupe: { type: 'boolean', default: true, query: true, description: 'Set to false to skip deduplication' },
+  expiresIn: {
+    type: 'integer',
+    minimum: 60,
+    maximum: MAX_EXPIRES_IN,
+    query: true,
+    description: `Seconds until the file is deleted automatically (60-${MAX_EXPIRES_IN}), the response carries expiresAt`,
+    code: 'INVALID_EXPIRY'
+  },
+  visibility: {
+    type: 'string',
+    enum: ['public', 'private'],
+    default: 'public',
+    query: true,
+    description: 'private stores the file in the private repo, the response has no rawUrl but a signedUrl valid for SIGNED_URL_TTL'
+  },
+  encrypt: {
+    type: 'boolean',
+    query: true,
+    description: 'Set to true to store the file AES-256-GCM encrypted, the response carries the encryptionKey once and a decryptUrl. Not with image options'
+  },
+  passphrase: {
+    type: 'string',
+    minLength: 8,
+    maxLength: 1024,
+    description: 'Encrypt with a key derived from this passphrase (8-1024 characters, scrypt) instead of a random one',
+    message: 'passphrase must be 8 to 1024 characters'
+  },
+  async: { type: 'boolean', query: true, description: 'Set to true (or send "Prefer: respond-async") for a 202 with a jobId to poll instead of waiting' }
+};
+
+const imageFields = {
+  stripExif: { type: 'boolean', query: true, description: 'Images: set to true to remove EXIF and other metadata from the original' },
+  thumbnails: { type: 'boolean', query: true, description: `Images: set to true to add thumbnails ${config.thumbnailSizes}px wide (returned under variants)` },
+  convert: { type: 'string', enum: images.CONVERT_FORMATS, query: true, description: 'Images: webp or avif to add a converted copy (returned under variants)', code: 'INVALID_CONVERT_FORMAT' }
+};
+
+// What the upload routes answer
+const uploadResponses = {
+  200: { description: 'The stored file', schema: schemas.ref('Upload') },
+  202: { description: 'async: the upload runs as a job', schema: schemas.ref('Accepted') },
+  403: 'The API key may not upload to this folder',
+  413: 'File too large',
+  429: 'Rate limit or the API key\'s daily quota reached'
+};
+
+// Image processing asked for on an upload: stripExif, thumbnails and convert (webp | avif).
+// Returns { image } with null when nothing was asked for, or { rejection }
+function imageOptions(req, folder) {
+  const flag = name => ['true', '1'].includes(String(req.body?.[name] ?? req.query[name] ?? '').toLowerCase());
+  const image = {
+    stripExif: flag('stripExif'),
+    thumbnails: flag('thumbnails'),
+    convert: req.body?.convert || req.query.convert || null
+  };
+
+  if (!image.stripExif && !image.thumbnails && !image.convert) {
+    return { image: null };
+  }
+
+  const invalid = [
+    [folder !== 'images' || !images.canProcess(req.file.detectedMime), 'Image options only apply to JPEG, PNG, WebP, AVIF, GIF and TIFF images', 'IMAGE_PROCESSING_UNSUPPORTED'],
+    [image.convert && req.file.detectedMime === `image/${image.convert}`, `Image is already ${image.convert}`, 'INVALID_CONVERT_FORMAT'],
+    [image.thumbnails && images.thumbnailSizes().length === 0, 'No thumbnail sizes are configured on this server', 'THUMBNAILS_DISABLED']
+  ].find(([failed]) => failed);
+
+  if (invalid) {
+    return { rejection: { status: 400, error: invalid[1], code: invalid[2] } };
   }
+  return { image };
 }
 
 // ==================== YOUTUBE DOWNLOAD APIs ====================
 
-// YouTube MP3 Download
-app.post('/api/ladybug/ytmp3', ytLimiter, async (req, res) => {
-  const { url, quality = 'highestaudio' } = req.body;
+// A client that goes away mid-stream would leave ffmpeg and the YouTube download running
+// to the end, stop both as soon as the response closes before it finished
+function stopOnDisconnect(res, { command, source }) {
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    if (command) command.kill('SIGKILL');
+    if (source) source.destroy();
+  });
+}
 
-  if (!url) {
-    return res.status(400).json({
-      success: false,
-      error: 'YouTube URL is required',
-      service: 'Ladybug CDN',
-      code: 'NO_URL'
-    });
+// YouTube MP3 Download
+// mode: 'url' returns the source audio URL, 'stream' transcodes to MP3 and streams it back,
+// 'cdn' transcodes and stores the MP3 in the audio folder for a permanent URL
+route({
+  method: 'post',
+  path: '/api/ladybug/ytmp3',
+  category: 'youtube',
+  summary: 'Download YouTube video as MP3',
+  body: {
+    type: 'json',
+    fields: {
+      url: { type: 'string', required: true, description: 'YouTube URL', message: 'YouTube URL is required' },
+      quality: { type: 'string', default: 'highestaudio', description: 'Source audio quality or itag (optional)' },
+      mode: { type: 'string', enum: ['url', 'stream', 'cdn'], default: 'url', description: 'url (source audio URL), stream (MP3 streamed back) or cdn (MP3 stored on the CDN, with the API key auth and quota of /api/ladybug/upload)' },
+      bitrate: { type: 'integer', enum: media.MP3_BITRATES, default: 128, description: `MP3 bitrate in kbps for stream/cdn: ${media.MP3_BITRATES.join(', ')}` }
+    }
+  },
+  responses: {
+    200: { description: 'mode=url: audio details and source URL, mode=cdn: the stored MP3 with the upload fields' },
+    401: 'mode=cdn: missing or invalid API key',
+    403: 'mode=cdn: the API key may not upload to the audio folder',
+    404: 'No audio format or the requested quality isn\'t available',
+    413: 'mode=cdn: the MP3 is too large to store',
+    429: 'Rate limit or, for mode=cdn, the API key\'s daily quota reached'
   }
+}, ytLimiter, authenticateApiKeyWhen(req => req.body?.mode === 'cdn'), async (req, res) => {
+  const { url, quality = 'highestaudio', mode = 'url', bitrate = 128 } = req.body;
+  let source;
+  let command;
 
   try {
-    if (!ytdl.validateURL(url)) {
+    if (!youtube.validateURL(url)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid YouTube URL',
@@ -250,11 +1050,11 @@ app.post('/api/ladybug/ytmp3', ytLimiter, async (req, res) => {
       });
     }
 
-    const info = await ytdl.getInfo(url);
+    const info = await youtube.getInfo(url);
     const videoDetails = info.videoDetails;
 
     // Get audio formats
-    const audioFormats = ytdl.filterFormats(info.formats, 'audioonly');
+    const audioFormats = youtube.filterFormats(info.formats, 'audioonly');
     
     if (audioFormats.length === 0) {
       return res.status(404).json({
@@ -265,51 +1065,137 @@ app.post('/api/ladybug/ytmp3', ytLimiter, async (req, res) => {
       });
     }
 
-    const bestAudio = audioFormats[0];
+    let bestAudio;
+    try {
+      bestAudio = youtube.chooseFormat(audioFormats, { quality });
+    } catch (e) {
+      return res.status(404).json({
+        success: false,
+        error: `Requested audio quality is not available: ${quality}`,
+        service: 'Ladybug CDN',
+        code: 'QUALITY_NOT_AVAILABLE'
+      });
+    }
 
-    res.json({
-      success: true,
-      service: 'Ladybug CDN',
-      data: {
-        title: videoDetails.title,
-        author: videoDetails.author.name,
-        duration: videoDetails.lengthSeconds,
-        thumbnail: videoDetails.thumbnails[0]?.url,
-        downloadUrl: bestAudio.url,
-        quality: bestAudio.audioBitrate,
-        format: 'mp3',
-        fileSize: bestAudio.contentLength
-      },
-      timestamp: new Date().toISOString()
+    if (mode === 'url') {
+      return res.json({
+        success: true,
+        service: 'Ladybug CDN',
+        data: {
+          title: videoDetails.title,
+          author: videoDetails.author.name,
+          duration: videoDetails.lengthSeconds,
+          thumbnail: videoDetails.thumbnails[0]?.url,
+          downloadUrl: bestAudio.url,
+          quality: bestAudio.audioBitrate,
+          format: bestAudio.container,
+          codec: bestAudio.audioCodec,
+          fileSize: bestAudio.contentLength
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    source = youtube.openFormat(info, bestAudio);
+    let mp3;
+    ({ output: mp3, command } = media.transcodeToMp3(source, {
+      bitrate: Number(bitrate),
+      title: videoDetails.title,
+      artist: videoDetails.author.name
+    }));
+    const mp3Name = `${videoDetails.title}.mp3`;
+    stopOnDisconnect(res, { command, source });
+
+    if (mode === 'stream') {
+      res.set({
+        'Content-Type': 'audio/mpeg',
+        'Content-Disposition': `attachment; filename="${sanitizeFileName(mp3Name)}"`
+      });
+      mp3.on('error', error => {
+        // Killing ffmpeg after a disconnect fails the stream too, that is not worth a log line
+        if (!res.destroyed) logger.error('Ladybug CDN - YouTube MP3 Transcode Error', error);
+        res.destroy(error);
+      });
+      return mp3.pipe(res);
+    }
+
+    // Stored like any other upload: file checks, the key's quota, dedupe, webhooks and usage
+    const buffer = await media.streamToBuffer(mp3, MAX_UPLOAD_SIZE);
+    const outcome = await checkAndUpload({
+      originalname: mp3Name,
+      mimetype: 'audio/mpeg',
+      size: buffer.length,
+      buffer: buffer
+    }, req, { source: 'api', apiKey: req.apiKey });
+
+    if (!outcome.body.success) {
+      return sendResult(res, outcome);
+    }
+
+    const { success, service, timestamp, ...uploaded } = outcome.body;
+    sendResult(res, {
+      ...outcome,
+      body: {
+        success: success,
+        service: service,
+        data: {
+          title: videoDetails.title,
+          author: videoDetails.author.name,
+          duration: videoDetails.lengthSeconds,
+          thumbnail: videoDetails.thumbnails[0]?.url,
+          downloadUrl: uploaded.rawUrl,
+          quality: Number(bitrate),
+          format: 'mp3',
+          ...uploaded
+        },
+        timestamp: timestamp
+      }
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - YouTube MP3 Error:', error);
-    res.status(500).json({
+    // Nothing reads the MP3 any more (too large, a failed upload), ffmpeg and the download would run on
+    if (command) command.kill('SIGKILL');
+    if (source) source.destroy();
+    logger.error('Ladybug CDN - YouTube MP3 Error', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(error.code === 'FILE_TOO_LARGE' ? 413 : 500).json({
       success: false,
       error: 'Failed to process YouTube URL',
       details: error.message,
       service: 'Ladybug CDN',
-      code: 'YTMP3_ERROR'
+      code: error.code === 'FILE_TOO_LARGE' ? 'FILE_TOO_LARGE' : 'YTMP3_ERROR'
     });
   }
 });
 
 // YouTube MP4 Download
-app.post('/api/ladybug/ytmp4', ytLimiter, async (req, res) => {
-  const { url, quality = 'highest' } = req.body;
-
-  if (!url) {
-    return res.status(400).json({
-      success: false,
-      error: 'YouTube URL is required',
-      service: 'Ladybug CDN',
-      code: 'NO_URL'
-    });
+// quality: 'highest', 'lowest' or a resolution like '720p'; itag picks an exact format.
+// mode 'stream' returns the MP4 itself, muxing separate video and audio streams when needed.
+route({
+  method: 'post',
+  path: '/api/ladybug/ytmp4',
+  category: 'youtube',
+  summary: 'Download YouTube video as MP4',
+  body: {
+    type: 'json',
+    fields: {
+      url: { type: 'string', required: true, description: 'YouTube URL', message: 'YouTube URL is required' },
+      quality: { type: 'string', default: 'highest', description: 'highest, lowest or a resolution like 720p (optional)' },
+      itag: { type: 'integer', description: 'Exact format itag from ytinfo (optional)' },
+      mode: { type: 'string', enum: ['url', 'stream'], default: 'url', description: 'url (format URLs) or stream (MP4 streamed back, video and audio muxed when needed)' }
+    }
+  },
+  responses: {
+    200: { description: 'mode=url: the format\'s URLs, videoUrl and audioUrl when they need muxing' },
+    404: 'The requested quality or itag isn\'t available, availableQualities lists what is'
   }
+}, ytLimiter, async (req, res) => {
+  const { url, quality = 'highest', itag, mode = 'url' } = req.body;
 
   try {
-    if (!ytdl.validateURL(url)) {
+    if (!youtube.validateURL(url)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid YouTube URL',
@@ -318,22 +1204,39 @@ app.post('/api/ladybug/ytmp4', ytLimiter, async (req, res) => {
       });
     }
 
-    const info = await ytdl.getInfo(url);
+    const info = await youtube.getInfo(url);
     const videoDetails = info.videoDetails;
 
-    // Get video formats
-    const videoFormats = ytdl.filterFormats(info.formats, 'videoandaudio');
-    
-    if (videoFormats.length === 0) {
+    let selected;
+    try {
+      selected = youtube.selectVideoFormats(info.formats, { quality, itag });
+    } catch (error) {
+      if (!error.available) throw error;
       return res.status(404).json({
         success: false,
-        error: 'No video formats available',
+        error: error.message,
+        availableQualities: error.available,
         service: 'Ladybug CDN',
-        code: 'NO_VIDEO_FORMAT'
+        code: error.code
       });
     }
 
-    const bestVideo = videoFormats[0];
+    const { video, audio } = selected;
+
+    if (mode === 'stream') {
+      // Muxing has ffmpeg fetch both URLs itself, a progressive format is a single download
+      const { output, command } = audio ? media.muxToMp4(video.url, audio.url) : { output: youtube.openFormat(info, video) };
+      res.set({
+        'Content-Type': audio ? 'video/mp4' : video.mimeType.split(';')[0],
+        'Content-Disposition': `attachment; filename="${sanitizeFileName(`${videoDetails.title}.${audio ? 'mp4' : video.container}`)}"`
+      });
+      stopOnDisconnect(res, { command, source: output });
+      output.on('error', error => {
+        if (!res.destroyed) logger.error('Ladybug CDN - YouTube MP4 Stream Error', error);
+        res.destroy(error);
+      });
+      return output.pipe(res);
+    }
 
     res.json({
       success: true,
@@ -343,17 +1246,25 @@ app.post('/api/ladybug/ytmp4', ytLimiter, async (req, res) => {
         author: videoDetails.author.name,
         duration: videoDetails.lengthSeconds,
         thumbnail: videoDetails.thumbnails[0]?.url,
-        downloadUrl: bestVideo.url,
-        quality: bestVideo.qualityLabel,
-        format: 'mp4',
-        fileSize: bestVideo.contentLength,
-        resolution: `${bestVideo.width}x${bestVideo.height}`
+        // Separate streams cannot be handed out as one URL, mode=stream muxes them
+        downloadUrl: audio ? null : video.url,
+        requiresMux: Boolean(audio),
+        videoUrl: audio ? video.url : undefined,
+        audioUrl: audio ? audio.url : undefined,
+        itag: video.itag,
+        quality: video.qualityLabel,
+        format: audio ? 'mp4' : video.container,
+        fileSize: video.contentLength,
+        resolution: `${video.width}x${video.height}`
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - YouTube MP4 Error:', error);
+    logger.error('Ladybug CDN - YouTube MP4 Error', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to process YouTube URL',
@@ -365,20 +1276,19 @@ app.post('/api/ladybug/ytmp4', ytLimiter, async (req, res) => {
 });
 
 // YouTube Video Info
-app.get('/api/ladybug/ytinfo', ytLimiter, async (req, res) => {
-  const { url } = req.query;
-
-  if (!url) {
-    return res.status(400).json({
-      success: false,
-      error: 'YouTube URL is required',
-      service: 'Ladybug CDN',
-      code: 'NO_URL'
-    });
+route({
+  method: 'get',
+  path: '/api/ladybug/ytinfo',
+  category: 'youtube',
+  summary: 'Get YouTube video information and every available format',
+  query: {
+    url: { type: 'string', required: true, description: 'YouTube URL', message: 'YouTube URL is required' }
   }
+}, ytLimiter, async (req, res) => {
+  const { url } = req.query;
 
   try {
-    if (!ytdl.validateURL(url)) {
+    if (!youtube.validateURL(url)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid YouTube URL',
@@ -387,7 +1297,7 @@ app.get('/api/ladybug/ytinfo', ytLimiter, async (req, res) => {
       });
     }
 
-    const info = await ytdl.getInfo(url);
+    const info = await youtube.getInfo(url);
     const videoDetails = info.videoDetails;
 
     res.json({
@@ -409,15 +1319,16 @@ app.get('/api/ladybug/ytinfo', ytLimiter, async (req, res) => {
         category: videoDetails.category,
         isLiveContent: videoDetails.isLiveContent,
         formats: {
-          videoFormats: ytdl.filterFormats(info.formats, 'videoandaudio').length,
-          audioFormats: ytdl.filterFormats(info.formats, 'audioonly').length
+          videoFormats: youtube.filterFormats(info.formats, 'videoandaudio').length,
+          audioFormats: youtube.filterFormats(info.formats, 'audioonly').length,
+          list: info.formats.map(format => youtube.describeFormat(format))
         }
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - YouTube Info Error:', error);
+    logger.error('Ladybug CDN - YouTube Info Error', error);
     res.status(500).json({
       success: false,
       error: 'Failed to get YouTube video info',
@@ -430,46 +1341,85 @@ app.get('/api/ladybug/ytinfo', ytLimiter, async (req, res) => {
 
 // ==================== AI APIs ====================
 
-// Text Generation AI
-app.post('/api/ladybug/ai/text', aiLimiter, async (req, res) => {
-  const { prompt, maxTokens = 150, temperature = 0.7 } = req.body;
+const generationFields = {
+  maxTokens: { type: 'integer', minimum: 1, maximum: 4096, description: 'Max tokens (1-4096)' },
+  temperature: { type: 'number', minimum: 0, maximum: 2, description: 'Creativity level (0-2)' }
+};
 
-  if (!prompt) {
-    return res.status(400).json({
-      success: false,
-      error: 'Prompt is required',
-      service: 'Ladybug CDN',
-      code: 'NO_PROMPT'
-    });
+// Text Generation AI
+// stream: true answers with Server-Sent Events: `data: { delta }` chunks, then `event: done`
+route({
+  method: 'post',
+  path: '/api/ladybug/ai/text',
+  category: 'ai',
+  summary: 'Generate text using AI',
+  body: {
+    type: 'json',
+    fields: {
+      prompt: { type: 'string', required: true, description: 'Text prompt', message: 'Prompt is required' },
+      maxTokens: { ...generationFields.maxTokens, default: 150 },
+      temperature: { ...generationFields.temperature, default: 0.7 },
+      stream: { type: 'boolean', default: false, description: 'true for Server-Sent Events' }
+    }
+  },
+  responses: {
+    200: { description: 'The generated text, or with stream=true `data: { delta }` events ending with `event: done`' }
   }
+}, aiLimiter, async (req, res) => {
+  const { prompt, stream = false } = req.body;
+  const maxTokens = Number(req.body.maxTokens ?? 150);
+  const temperature = Number(req.body.temperature ?? 0.7);
 
   try {
-    // Mock AI response (replace with actual AI service)
-    const responses = [
-      "This is a sample AI-generated response based on your prompt.",
-      "Here's an AI-generated text that responds to your input creatively.",
-      "The AI has processed your request and generated this thoughtful response.",
-      "Based on your prompt, here's what the AI model suggests.",
-      "This is an intelligent response generated by Ladybug CDN's AI service."
-    ];
+    const provider = ai.getProvider();
+
+    if (stream === true || stream === 'true') {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.flushHeaders();
+
+      // A client that goes away mid-answer stops the generation upstream as well
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+
+      try {
+        for await (const event of provider.streamText({ prompt, maxTokens, temperature, signal: controller.signal })) {
+          if (event.type === 'delta') {
+            res.write(`data: ${JSON.stringify({ delta: event.text })}\n\n`);
+          } else {
+            res.write(`event: done\ndata: ${JSON.stringify({ model: event.model, provider: provider.name, usage: event.usage })}\n\n`);
+          }
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return res.end();
+        logger.error('Ladybug CDN - AI Text Stream Error', error);
+        res.write(`event: error\ndata: ${JSON.stringify({ error: 'AI text generation failed', details: error.message, code: 'AI_TEXT_ERROR' })}\n\n`);
+      }
+      return res.end();
+    }
 
-    const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+    const result = await provider.generateText({ prompt, maxTokens, temperature });
 
     res.json({
       success: true,
       service: 'Ladybug CDN',
       data: {
         prompt: prompt,
-        response: `${randomResponse} Your prompt was: "${prompt}"`,
-        tokens: maxTokens,
+        response: result.text,
+        maxTokens: maxTokens,
         temperature: temperature,
-        model: 'ladybug-ai-v1'
+        usage: result.usage,
+        model: result.model,
+        provider: provider.name
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - AI Text Error:', error);
+    logger.error('Ladybug CDN - AI Text Error', error);
     res.status(500).json({
       success: false,
       error: 'AI text generation failed',
@@ -481,27 +1431,45 @@ app.post('/api/ladybug/ai/text', aiLimiter, async (req, res) => {
 });
 
 // Image Analysis AI
-app.post('/api/ladybug/ai/image-analysis', aiLimiter, upload.single('image'), async (req, res) => {
-  if (!req.file) {
+route({
+  method: 'post',
+  path: '/api/ladybug/ai/image-analysis',
+  category: 'ai',
+  summary: 'Analyze image content using AI',
+  body: {
+    type: 'multipart',
+    files: {
+      image: { required: true, description: 'Image file to analyze', message: 'Image file is required' }
+    },
+    fields: {
+      prompt: { type: 'string', description: 'Question about the image (optional)' },
+      maxTokens: { ...generationFields.maxTokens, default: 300 },
+      temperature: { ...generationFields.temperature, default: 0.2 }
+    }
+  }
+}, aiLimiter, upload.single('image'), async (req, res) => {
+  if (!req.file.mimetype.startsWith('image/')) {
     return res.status(400).json({
       success: false,
-      error: 'Image file is required',
+      error: 'File must be an image',
       service: 'Ladybug CDN',
-      code: 'NO_IMAGE'
+      code: 'INVALID_FILE_TYPE'
     });
   }
 
-  try {
-    // Mock image analysis (replace with actual AI service)
-    const analysisResults = [
-      "This image contains a beautiful landscape with mountains and trees.",
-      "The image shows a person smiling in what appears to be an outdoor setting.",
-      "This appears to be a close-up photo of an object with interesting textures.",
-      "The image contains multiple elements including buildings and sky.",
-      "This is a colorful image with various shapes and patterns."
-    ];
+  const prompt = req.body.prompt || 'Describe this image in detail.';
+  const maxTokens = Number(req.body.maxTokens ?? 300);
+  const temperature = Number(req.body.temperature ?? 0.2);
 
-    const randomAnalysis = analysisResults[Math.floor(Math.random() * analysisResults.length)];
+  try {
+    const provider = ai.getProvider();
+    const result = await provider.analyzeImage({
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype,
+      prompt: prompt,
+      maxTokens: maxTokens,
+      temperature: temperature
+    });
 
     res.json({
       success: true,
@@ -510,16 +1478,19 @@ app.post('/api/ladybug/ai/image-analysis', aiLimiter, upload.single('image'), as
         fileName: req.file.originalname,
         fileSize: req.file.size,
         mimeType: req.file.mimetype,
-        analysis: randomAnalysis,
-        confidence: Math.random() * 0.3 + 0.7, // Random confidence between 0.7-1.0
-        tags: ['object', 'scene', 'color', 'composition'],
-        model: 'ladybug-vision-v1'
+        prompt: prompt,
+        analysis: result.text,
+        confidence: result.confidence,
+        tags: result.tags,
+        usage: result.usage,
+        model: result.model,
+        provider: provider.name
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - AI Image Analysis Error:', error);
+    logger.error('Ladybug CDN - AI Image Analysis Error', error);
     res.status(500).json({
       success: false,
       error: 'Image analysis failed',
@@ -532,37 +1503,116 @@ app.post('/api/ladybug/ai/image-analysis', aiLimiter, upload.single('image'), as
 
 // ==================== UTILITY APIs ====================
 
+const qrColor = { type: 'string', pattern: '^#([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$', code: 'INVALID_COLOR', message: 'Colours must be hex like #000000 or #000000ff' };
+
 // QR Code Generator
-app.post('/api/ladybug/qr-generate', apiLimiter, async (req, res) => {
-  const { text, size = 200, format = 'png' } = req.body;
+// output 'json' answers with a data URI, 'binary' with the PNG/SVG bytes.
+// upload: true also stores the image on the CDN for a permanent URL.
+route({
+  method: 'post',
+  path: '/api/ladybug/qr-generate',
+  category: 'utilities',
+  summary: 'Generate QR code',
+  body: {
+    type: 'json',
+    fields: {
+      text: { type: 'string', required: true, description: `Text to encode, at most ${qr.QR_CAPACITY.L} bytes (less at higher error correction)`, message: 'Text is required for QR code generation' },
+      size: { type: 'integer', minimum: 64, maximum: 2048, default: 200, description: 'QR code size in pixels (64-2048)' },
+      format: { type: 'string', enum: Object.keys(qr.QR_FORMATS), default: 'png', description: 'png or svg' },
+      output: { type: 'string', enum: ['json', 'binary'], default: 'json', description: 'json (data URI) or binary (image bytes)' },
+      errorCorrectionLevel: { type: 'string', enum: Object.keys(qr.QR_CAPACITY), default: 'M', description: 'L, M, Q or H', code: 'INVALID_ERROR_CORRECTION' },
+      margin: { type: 'integer', minimum: 0, maximum: 20, default: 4, description: 'Quiet zone in modules (0-20)' },
+      darkColor: { ...qrColor, default: '#000000', description: 'Foreground hex colour' },
+      lightColor: { ...qrColor, default: '#ffffff', description: 'Background hex colour' },
+      upload: { type: 'boolean', default: false, description: 'true to also store the image on the CDN, with the API key auth and quota of /api/ladybug/upload' }
+    }
+  },
+  responses: {
+    200: { description: 'The QR code as a data URI with the upload fields when stored, output=binary answers with the image itself' },
+    400: 'The text can\'t be encoded at this error-correction level',
+    401: 'upload: missing or invalid API key',
+    403: 'upload: the API key may not upload to the images folder',
+    429: 'Rate limit or, for upload, the API key\'s daily quota reached'
+  }
+}, apiLimiter, authenticateApiKeyWhen(req => [true, 'true'].includes(req.body?.upload)), async (req, res) => {
+  const {
+    text,
+    format = 'png',
+    output = 'json',
+    errorCorrectionLevel = 'M',
+    darkColor = '#000000',
+    lightColor = '#ffffff',
+    upload: uploadToCdn = false
+  } = req.body;
+  const size = Number(req.body.size ?? 200);
+  const margin = Number(req.body.margin ?? 4);
+
+  const maxBytes = qr.QR_CAPACITY[errorCorrectionLevel];
+  if (Buffer.byteLength(String(text)) > maxBytes) {
+    return res.status(400).json({
+      success: false,
+      error: `Text is too long for a QR code at error-correction level ${errorCorrectionLevel} (max ${maxBytes} bytes)`,
+      maxBytes: maxBytes,
+      service: 'Ladybug CDN',
+      code: 'QR_DATA_TOO_LONG'
+    });
+  }
 
-  if (!text) {
+  // The byte check can't see how the encoder segments the text, what it still refuses is the input's fault
+  let buffer;
+  try {
+    buffer = await qr.renderQr(String(text), { format, size, margin, errorCorrectionLevel, darkColor, lightColor });
+  } catch (error) {
     return res.status(400).json({
       success: false,
-      error: 'Text is required for QR code generation',
+      error: `Text can't be encoded as a QR code: ${error.message}`,
       service: 'Ladybug CDN',
-      code: 'NO_TEXT'
+      code: 'QR_INVALID_DATA'
     });
   }
 
   try {
-    // Using QR Server API
-    const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(text)}&format=${format}`;
+    const mimeType = qr.QR_FORMATS[format];
+
+    if (output === 'binary' && !(uploadToCdn === true || uploadToCdn === 'true')) {
+      res.set('Content-Type', mimeType);
+      return res.send(buffer);
+    }
+
+    // Stored like any other upload: file checks, the key's quota, dedupe, webhooks and usage
+    let stored;
+    let usage;
+    if (uploadToCdn === true || uploadToCdn === 'true') {
+      const outcome = await checkAndUpload({ originalname: `qr.${format}`, mimetype: mimeType, size: buffer.length, buffer: buffer }, req, { source: 'api', apiKey: req.apiKey });
+      if (!outcome.body.success) {
+        return sendResult(res, outcome);
+      }
+      const { success, service, timestamp, ...uploaded } = outcome.body;
+      stored = uploaded;
+      usage = outcome.usage;
+    }
+
+    if (usage) {
+      setQuotaHeaders(res, usage);
+    }
 
     res.json({
       success: true,
       service: 'Ladybug CDN',
       data: {
         text: text,
-        qrCodeUrl: qrUrl,
+        dataUri: `data:${mimeType};base64,${buffer.toString('base64')}`,
         size: `${size}x${size}`,
-        format: format
+        format: format,
+        errorCorrectionLevel: errorCorrectionLevel,
+        margin: margin,
+        ...stored
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - QR Generation Error:', error);
+    logger.error('Ladybug CDN - QR Generation Error', error);
     res.status(500).json({
       success: false,
       error: 'QR code generation failed',
@@ -574,37 +1624,90 @@ app.post('/api/ladybug/qr-generate', apiLimiter, async (req, res) => {
 });
 
 // URL Shortener
-app.post('/api/ladybug/shorten-url', apiLimiter, async (req, res) => {
-  const { url, customAlias } = req.body;
+route({
+  method: 'post',
+  path: '/api/ladybug/shorten-url',
+  category: 'utilities',
+  summary: 'Shorten a URL',
+  body: {
+    type: 'json',
+    fields: {
+      url: { type: 'string', required: true, description: 'URL to shorten', message: 'URL is required' },
+      customAlias: { type: 'string', description: 'Custom alias, 3-32 of A-Z a-z 0-9 - _ (optional)', code: 'INVALID_ALIAS' },
+      expiresIn: { type: 'integer', minimum: 1, description: 'Lifetime in seconds (optional)', code: 'INVALID_EXPIRY', message: 'expiresIn must be a positive number of seconds' }
+    }
+  },
+  responses: {
+    200: { description: 'The short link', schema: schemas.envelope(schemas.ref('ShortLink')) },
+    409: 'customAlias is already taken'
+  }
+}, apiLimiter, async (req, res) => {
+  const { url, customAlias, expiresIn } = req.body;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (e) {
+    parsedUrl = null;
+  }
+
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL must be a valid http(s) URL',
+      service: 'Ladybug CDN',
+      code: 'INVALID_URL'
+    });
+  }
 
-  if (!url) {
+  if (customAlias !== undefined && !links.isValidAlias(String(customAlias))) {
     return res.status(400).json({
       success: false,
-      error: 'URL is required',
+      error: 'Custom alias must be 3-32 characters of letters, numbers, - or _',
+      service: 'Ladybug CDN',
+      code: 'INVALID_ALIAS'
+    });
+  }
+
+  if (customAlias !== undefined && links.hasLink(String(customAlias))) {
+    return res.status(409).json({
+      success: false,
+      error: 'Custom alias is already taken',
       service: 'Ladybug CDN',
-      code: 'NO_URL'
+      code: 'ALIAS_TAKEN'
     });
   }
 
+  const expirySeconds = expiresIn == null ? null : Number(expiresIn);
+
   try {
-    const shortId = customAlias || makeId(6);
-    const shortUrl = `${req.protocol}://${req.get('host')}/s/${shortId}`;
+    let shortId = customAlias !== undefined ? String(customAlias) : null;
+    while (!shortId || (customAlias === undefined && links.hasLink(shortId))) {
+      shortId = makeId(6);
+    }
+
+    const link = links.createLink({
+      shortId: shortId,
+      originalUrl: parsedUrl.href,
+      expiresAt: expirySeconds ? new Date(Date.now() + expirySeconds * 1000).toISOString() : null,
+      creatorIp: req.ip
+    });
 
-    // In a real implementation, you'd store this in a database
     res.json({
       success: true,
       service: 'Ladybug CDN',
       data: {
-        originalUrl: url,
-        shortUrl: shortUrl,
+        originalUrl: link.originalUrl,
+        shortUrl: `${getBaseUrl(req)}/s/${shortId}`,
         shortId: shortId,
-        clicks: 0
+        clicks: link.clicks,
+        expiresAt: link.expiresAt
       },
-      timestamp: new Date().toISOString()
+      timestamp: link.createdAt
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - URL Shortener Error:', error);
+    logger.error('Ladybug CDN - URL Shortener Error', error);
     res.status(500).json({
       success: false,
       error: 'URL shortening failed',
@@ -615,8 +1718,62 @@ app.post('/api/ladybug/shorten-url', apiLimiter, async (req, res) => {
   }
 });
 
+// Short link stats
+route({
+  method: 'get',
+  path: '/api/ladybug/shorten-url/:shortId',
+  category: 'utilities',
+  summary: 'Short link stats (clicks, expiry)',
+  params: {
+    shortId: { type: 'string', description: 'Short link ID' }
+  },
+  responses: {
+    200: { description: 'The short link with its clicks', schema: schemas.envelope(schemas.ref('ShortLink')) },
+    404: 'No such short link'
+  }
+}, apiLimiter, (req, res) => {
+  const link = links.getLink(req.params.shortId);
+
+  if (!link) {
+    return res.status(404).json({
+      success: false,
+      error: 'Short link not found',
+      service: 'Ladybug CDN',
+      code: 'LINK_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      shortId: link.shortId,
+      originalUrl: link.originalUrl,
+      shortUrl: `${getBaseUrl(req)}/s/${link.shortId}`,
+      clicks: link.clicks,
+      createdAt: link.createdAt,
+      lastClickedAt: link.lastClickedAt,
+      expiresAt: link.expiresAt,
+      expired: links.isExpired(link)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Password Generator
-app.get('/api/ladybug/generate-password', apiLimiter, (req, res) => {
+route({
+  method: 'get',
+  path: '/api/ladybug/generate-password',
+  category: 'utilities',
+  summary: 'Generate secure password',
+  query: {
+    length: { type: 'integer', minimum: 1, maximum: 1024, default: 12, description: 'Password length' },
+    includeSymbols: { type: 'boolean', description: 'Include symbols' },
+    includeNumbers: { type: 'boolean', description: 'Include numbers' },
+    includeUppercase: { type: 'boolean', description: 'Include uppercase letters' },
+    includeLowercase: { type: 'boolean', description: 'Include lowercase letters' }
+  }
+}, apiLimiter, (req, res) => {
   const { length = 12, includeSymbols = true, includeNumbers = true, includeUppercase = true, includeLowercase = true } = req.query;
 
   try {
@@ -658,7 +1815,7 @@ app.get('/api/ladybug/generate-password', apiLimiter, (req, res) => {
     });
 
   } catch (error) {
-    console.error('Ladybug CDN - Password Generator Error:', error);
+    logger.error('Ladybug CDN - Password Generator Error', error);
     res.status(500).json({
       success: false,
       error: 'Password generation failed',
@@ -672,145 +1829,2237 @@ app.get('/api/ladybug/generate-password', apiLimiter, (req, res) => {
 // ==================== ORIGINAL CDN ENDPOINTS ====================
 
 // Primary Ladybug upload endpoint
-app.post('/ladybug/upload', uploadLimiter, upload.single('file'), verifyTurnstile, validateFile, async (req, res) => {
-  const folder = getFolderForContentType(req.file.mimetype);
-  await uploadToGitHub(req.file, folder, res, true);
+route({
+  method: 'post',
+  path: '/ladybug/upload',
+  category: 'cdn',
+  summary: 'Upload a file with CAPTCHA verification',
+  auth: 'turnstile',
+  body: {
+    type: 'multipart',
+    files: {
+      file: { required: true, description: 'File to upload', message: 'No file uploaded', code: 'NO_FILE' }
+    },
+    fields: {
+      turnstileResponse: { type: 'string', required: true, description: 'CAPTCHA token', message: 'CAPTCHA Response is Required', code: 'CAPTCHA_REQUIRED' },
+      dedupe: uploadFields.dedupe
+    }
+  },
+  responses: {
+    200: uploadResponses[200],
+    413: uploadResponses[413]
+  }
+}, uploadLimiter, upload.single('file'), verifyTurnstile, validateFile, async (req, res) => {
+  const folder = getFolderForContentType(req.file.detectedMime);
+  await uploadToGitHub(req.file, folder, res, { source: 'web', dedupe: wantsDedupe(req) });
 });
 
 // Ladybug API upload (no CAPTCHA required)
-app.post('/api/ladybug/upload', apiLimiter, upload.single('file'), validateFile, async (req, res) => {
-  const folder = getFolderForContentType(req.file.mimetype);
+route({
+  method: 'post',
+  path: '/api/ladybug/upload',
+  category: 'cdn',
+  summary: 'Upload a file',
+  description: 'API upload without CAPTCHA, authenticated with "Authorization: Bearer <api key>". GitHub uploads also get a pinnedUrl on the commit, which jsDelivr never serves stale',
+  auth: 'apiKey',
+  body: {
+    type: 'multipart',
+    files: {
+      file: { required: true, description: 'File to upload', message: 'No file uploaded', code: 'NO_FILE' }
+    },
+    fields: { ...uploadFields, ...imageFields }
+  },
+  responses: uploadResponses
+}, authenticateApiKey, apiLimiter, upload.single('file'), validateFile, async (req, res) => {
+  const folder = getFolderForContentType(req.file.detectedMime);
   const customId = req.body.customId || null;
-  await uploadToGitHub(req.file, folder, res, false, customId);
-});
 
-// ==================== INFORMATION ENDPOINTS ====================
+  const { image, rejection: imageRejection } = imageOptions(req, folder);
+  const { expiresIn, rejection: expiryRejection } = expiryOption(req);
+  const { visibility, rejection: visibilityRejection } = visibilityOption(req);
+  const { encrypt, rejection: encryptRejection } = encryptOption(req, image);
+  const rejection = imageRejection || expiryRejection || visibilityRejection || encryptRejection;
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      error: rejection.error,
+      service: 'Ladybug CDN',
+      code: rejection.code
+    });
+  }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'Ladybug CDN',
-    version: '3.0.0',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString()
-  });
+  await uploadToGitHub(req.file, folder, res, { source: 'api', customId, dedupe: wantsDedupe(req), apiKey: req.apiKey, image, expiresIn, visibility, encrypt, async: wantsAsync(req) });
 });
 
-// Enhanced service info endpoint
-app.get('/api/info', (req, res) => {
-  res.json({
-    service: 'Ladybug CDN',
-    description: 'Comprehensive API service with CDN, YouTube downloads, AI, and utility tools',
-    version: '3.0.0',
-    categories: {
-      cdn: {
-        description: 'File upload and management',
-        endpoints: ['/ladybug/upload', '/api/ladybug/upload']
-      },
-      youtube: {
-        description: 'YouTube video and audio downloads',
-        endpoints: ['/api/ladybug/ytmp3', '/api/ladybug/ytmp4', '/api/ladybug/ytinfo']
-      },
-      ai: {
-        description: 'Artificial Intelligence services',
-        endpoints: ['/api/ladybug/ai/text', '/api/ladybug/ai/image-analysis']
-      },
-      utilities: {
-        description: 'Useful utility tools',
-        endpoints: ['/api/ladybug/qr-generate', '/api/ladybug/shorten-url', '/api/ladybug/generate-password']
-      }
-    },
-    features: [
-      'File upload and CDN',
-      'YouTube MP3/MP4 downloads',
-      'AI text generation',
-      'AI image analysis',
-      'QR code generation',
-      'URL shortening',
-      'Password generation',
-      'Rate limiting',
-      'CAPTCHA protection'
-    ],
-    maxFileSize: '100MB',
-    supportedTypes: ['images', 'videos', 'audio', 'documents', 'archives', 'code']
-  });
+// What a fetched file is uploaded as: the detected type when the bytes are clear about
+// it, otherwise the Content-Type the remote server sent
+function remoteMimeType(contentType, buffer) {
+  const detected = sniff.detect(buffer);
+  if (detected && !detected.text && !(detected.generic && detected.compatible.includes(contentType))) {
+    return detected.mime;
+  }
+  if (detected && detected.text) {
+    return sniff.isTextType(contentType) ? contentType : detected.mime;
+  }
+  return contentType || 'application/octet-stream';
+}
+
+// For files that didn't come through multer and validateFile: runs the file and upload
+// checks, then uploads. Resolves with the outcome like uploadFile
+async function checkAndUpload(file, req, options) {
+  const fileRejection = checkFile(file);
+  if (fileRejection) {
+    return failure(fileRejection.status, fileRejection.error, fileRejection.code);
+  }
+
+  const folder = getFolderForContentType(file.detectedMime);
+  const rejection = checkUpload(file, folder, options);
+  if (rejection) {
+    return failure(rejection.status, rejection.error, rejection.code);
+  }
+
+  return uploadFile(file, folder, req, options);
+}
+
+// Fetches a URL and uploads what came back, resolves with the outcome like uploadFile
+async function uploadFromUrl(url, req, options) {
+  let fetched;
+  try {
+    fetched = await remote.fetchRemoteFile(url, { maxBytes: MAX_UPLOAD_SIZE });
+  } catch (error) {
+    if (error.code !== 'INVALID_URL' && error.code !== 'BLOCKED_ADDRESS') {
+      logger.error('Ladybug CDN - Error fetching remote file', error.message);
+    }
+    return failure(error.status || 502, error.message, error.code || 'FETCH_FAILED');
+  }
+
+  const file = {
+    originalname: fetched.fileName,
+    mimetype: remoteMimeType(fetched.contentType, fetched.buffer),
+    size: fetched.size,
+    buffer: fetched.buffer
+  };
+
+  return checkAndUpload(file, req, options);
+}
+
+// Mirror a public URL onto the CDN, same API key auth as /api/ladybug/upload
+route({
+  method: 'post',
+  path: '/api/ladybug/upload-url',
+  category: 'cdn',
+  summary: 'Upload a file from a URL',
+  description: 'Fetch a public URL on the server and store it like an upload. Same API key auth as /api/ladybug/upload',
+  auth: 'apiKey',
+  body: {
+    type: 'json',
+    fields: {
+      url: { type: 'string', required: true, description: 'http(s) URL of the file (private addresses are refused)' },
+      ...uploadFields
+    }
+  },
+  responses: {
+    ...uploadResponses,
+    502: 'The URL couldn\'t be fetched'
+  }
+}, authenticateApiKey, apiLimiter, async (req, res) => {
+  const { url, customId = null } = req.body;
+
+  const { visibility, rejection: visibilityRejection } = visibilityOption(req);
+  const { encrypt, rejection: encryptRejection } = encryptOption(req);
+  const rejection = visibilityRejection || encryptRejection;
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      error: rejection.error,
+      service: 'Ladybug CDN',
+      code: rejection.code
+    });
+  }
+
+  const options = { source: 'url', customId, dedupe: wantsDedupe(req), apiKey: req.apiKey, visibility, encrypt };
+
+  // With async the fetch runs in the job too, it is usually the slow part
+  if (wantsAsync(req)) {
+    return acceptJob(req, res, 'upload-url', () => uploadFromUrl(url, req, options));
+  }
+
+  sendResult(res, await uploadFromUrl(url, req, options));
 });
 
-// API documentation endpoint
-app.get('/api/docs', (req, res) => {
-  res.json({
-    service: 'Ladybug CDN API Documentation',
-    version: '3.0.0',
-    baseUrl: req.protocol + '://' + req.get('host'),
-    categories: {
-      'CDN Services': {
-        'POST /ladybug/upload': {
-          description: 'Upload a file with CAPTCHA verification',
-          parameters: { file: 'File to upload', turnstileResponse: 'CAPTCHA token' }
-        },
-        'POST /api/ladybug/upload': {
-          description: 'API upload without CAPTCHA',
-          parameters: { file: 'File to upload', customId: 'Optional custom ID' }
-        }
-      },
-      'YouTube Services': {
-        'POST /api/ladybug/ytmp3': {
-          description: 'Download YouTube video as MP3',
-          parameters: { url: 'YouTube URL', quality: 'Audio quality (optional)' }
-        },
-        'POST /api/ladybug/ytmp4': {
-          description: 'Download YouTube video as MP4',
-          parameters: { url: 'YouTube URL', quality: 'Video quality (optional)' }
-        },
-        'GET /api/ladybug/ytinfo': {
-          description: 'Get YouTube video information',
-          parameters: { url: 'YouTube URL' }
-        }
-      },
-      'AI Services': {
-        'POST /api/ladybug/ai/text': {
-          description: 'Generate text using AI',
-          parameters: { prompt: 'Text prompt', maxTokens: 'Max tokens', temperature: 'Creativity level' }
-        },
-        'POST /api/ladybug/ai/image-analysis': {
-          description: 'Analyze image content using AI',
-          parameters: { image: 'Image file to analyze' }
-        }
-      },
-      'Utility Services': {
-        'POST /api/ladybug/qr-generate': {
-          description: 'Generate QR code',
-          parameters: { text: 'Text to encode', size: 'QR code size', format: 'Image format' }
-        },
-        'POST /api/ladybug/shorten-url': {
-          description: 'Shorten a URL',
-          parameters: { url: 'URL to shorten', customAlias: 'Custom alias (optional)' }
-        },
-        'GET /api/ladybug/generate-password': {
-          description: 'Generate secure password',
-          parameters: { length: 'Password length', includeSymbols: 'Include symbols', includeNumbers: 'Include numbers' }
+// Uploads a batch, every accepted file lands in a single commit per storage driver.
+// visibility applies to the whole batch. Resolves with the outcome like uploadFile
+async function uploadBatch(files, req, visibility = 'public') {
+  const dedupe = wantsDedupe(req);
+  const reservedIds = new Set();
+  const plans = [];
+  const results = [];
+  let plannedBytes = 0;
+  let usage = null;
+
+  for (const [index, file] of files.entries()) {
+    const rejection = checkFile(file);
+    if (rejection) {
+      results.push({
+        index: index,
+        originalName: file.originalname,
+        success: false,
+        error: rejection.error,
+        code: rejection.code
+      });
+      continue;
+    }
+
+    // Same content twice in one batch is committed once
+    const sameInBatch = dedupe && plans.find(({ plan }) => fileHash(plan.file) === fileHash(file));
+    if (sameInBatch) {
+      results.push({ index: index, originalName: file.originalname, sameAs: sameInBatch.index });
+      continue;
+    }
+
+    const duplicate = dedupe && visibility !== 'private' ? await findDuplicate(file) : null;
+    if (duplicate) {
+      results.push({ index: index, originalName: file.originalname, success: true, ...duplicateResponse(file, duplicate) });
+      continue;
+    }
+
+    const folder = getFolderForContentType(file.detectedMime);
+    const quotaRejection = checkKeyQuota(req.apiKey, folder, plannedBytes + file.size);
+    if (quotaRejection) {
+      results.push({
+        index: index,
+        originalName: file.originalname,
+        success: false,
+        error: quotaRejection.error,
+        code: quotaRejection.code
+      });
+      continue;
+    }
+
+    const fileId = newFileId(reservedIds);
+    reservedIds.add(fileId);
+    plannedBytes += file.size;
+    const driver = storage.driverFor({ folder, size: file.size, visibility });
+    plans.push({ index, driver, plan: planUpload(file, folder, fileId, [], driver.maxObjectSize) });
+    results.push({ index: index, originalName: file.originalname });
+  }
+
+  let commitSha = null;
+  let commitError = null;
+
+  // One put per storage driver, so everything routed to GitHub is still a single commit
+  for (const driver of new Set(plans.map(item => item.driver))) {
+    const group = plans.filter(item => item.driver === driver);
+    try {
+      const batchBytes = group.reduce((total, { plan }) => total + plan.file.size, 0);
+      const stored = await writeQueue.put(driver, group.flatMap(({ plan }) => plan.blobs), {
+        message: `Uploaded via Ladybug CDN - batch of ${group.length} files`,
+        bytes: batchBytes
+      });
+      commitSha = commitSha || stored.commitSha;
+
+      for (const { index, plan } of group) {
+        const { record, deleteKey } = registerUpload(plan, stored, {
+          driver: driver,
+          source: 'api',
+          uploaderIp: req.ip,
+          apiKeyId: req.apiKey?.id,
+          baseUrl: getBaseUrl(req)
+        });
+        Object.assign(results[index], { success: true, ...uploadResponse(record, deleteKey, getBaseUrl(req)) });
+        webhooks.emit('upload.succeeded', record.folder, { file: registry.toPublic(record) });
+
+        if (req.apiKey) {
+          usage = apikeys.recordUsage(req.apiKey.id, plan.file.size);
         }
       }
+    } catch (error) {
+      logger.error('Ladybug CDN - Error uploading batch', error);
+      commitError = error;
+      for (const { index, plan } of group) {
+        Object.assign(results[index], {
+          success: false,
+          error: error.message,
+          code: 'UPLOAD_FAILED'
+        });
+        emitUploadFailed(plan.file, plan.folder, error.message, 'UPLOAD_FAILED');
+      }
+    }
+  }
+
+  // Repeats of content from earlier in the batch share that file's outcome
+  for (const result of results) {
+    if (result.sameAs === undefined) continue;
+    const original = results[result.sameAs];
+    delete result.sameAs;
+
+    if (original.success) {
+      Object.assign(result, {
+        success: true,
+        rawUrl: original.rawUrl,
+        pinnedUrl: original.pinnedUrl,
+        signedUrl: original.signedUrl,
+        signedUrlExpiresAt: original.signedUrlExpiresAt,
+        visibility: original.visibility,
+        fileId: original.fileId,
+        fileName: original.fileName,
+        folder: original.folder,
+        fileSize: original.fileSize,
+        mimeType: original.mimeType,
+        deduplicated: true
+      });
+    } else {
+      Object.assign(result, { success: false, error: original.error, code: original.code });
+    }
+  }
+
+  const uploaded = results.filter(result => result.success).length;
+
+  return {
+    status: uploaded > 0 ? 200 : commitError ? 500 : 400,
+    body: {
+      success: uploaded > 0,
+      service: 'Ladybug CDN',
+      data: {
+        total: results.length,
+        uploaded: uploaded,
+        failed: results.length - uploaded,
+        commitSha: commitSha,
+        results: results
+      },
+      timestamp: new Date().toISOString()
     },
-    rateLimits: {
-      upload: '15 requests per 5 minutes',
-      api: '30 requests per minute',
-      youtube: '10 requests per 5 minutes',
-      ai: '20 requests per minute'
+    usage: usage
+  };
+}
+
+// Batch upload: every accepted file lands in a single commit
+route({
+  method: 'post',
+  path: '/api/ladybug/batch-upload',
+  category: 'cdn',
+  summary: 'Upload many files in a single commit',
+  description: 'Upload many files in a single commit, with a result per file. Same API key auth as /api/ladybug/upload',
+  auth: 'apiKey',
+  body: {
+    type: 'multipart',
+    files: {
+      files: { required: true, multiple: true, description: `Files to upload (up to ${config.batchMaxFiles})`, message: 'No files uploaded', code: 'NO_FILE' }
+    },
+    fields: {
+      dedupe: uploadFields.dedupe,
+      visibility: { ...uploadFields.visibility, description: 'private to store every file of the batch in the private repo' },
+      async: uploadFields.async
     }
-  });
-});
+  },
+  responses: {
+    200: { description: 'A result per file, success is true when at least one was stored', schema: schemas.ref('BatchUpload') },
+    202: uploadResponses[202]
+  }
+}, authenticateApiKey, apiLimiter, upload.array('files', parseInt(config.batchMaxFiles) || 20), async (req, res) => {
+  const { visibility, rejection } = visibilityOption(req);
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      error: rejection.error,
+      service: 'Ladybug CDN',
+      code: rejection.code
+    });
+  }
 
-// Serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/index.html'));
+  if (wantsAsync(req)) {
+    return acceptJob(req, res, 'batch-upload', () => uploadBatch(req.files, req, visibility));
+  }
+
+  sendResult(res, await uploadBatch(req.files, req, visibility));
 });
 
-app.listen(config.port || 3000, () => {
-  console.log(`🐞 Ladybug CDN Server is running on port ${config.port || 3000}`);
-  console.log(`Service: Ladybug CDN`);
-  console.log(`Version: 3.0.0`);
-  console.log(`Features: CDN, YouTube Downloads, AI Services, Utilities`);
-  console.log(`API Documentation: http://localhost:${config.port || 3000}/api/docs`);
+// Status of an upload accepted with async, the result is what the upload would have answered
+route({
+  method: 'get',
+  path: '/api/ladybug/jobs/:jobId',
+  category: 'cdn',
+  summary: 'Status of an async upload',
+  description: 'Status of an async upload: queued, running, succeeded or failed. Once finished, result holds what the upload would have answered and httpStatus its status code',
+  auth: 'apiKey',
+  params: {
+    jobId: { type: 'string', description: 'jobId from the 202 response' }
+  },
+  responses: {
+    200: { description: 'The job', schema: schemas.envelope(schemas.ref('Job')) },
+    404: 'No such job for this API key'
+  }
+}, authenticateApiKey, apiLimiter, (req, res) => {
+  const job = jobs.getJob(req.params.jobId);
+
+  // Jobs started with an API key are only visible to that key
+  if (!job || (job.apiKeyId && job.apiKeyId !== req.apiKey?.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      service: 'Ladybug CDN',
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: jobs.toPublic(job),
+    timestamp: new Date().toISOString()
+  });
 });
+
+// ==================== RESUMABLE UPLOADS (tus 1.0) ====================
+
+const TUS_VERSION = '1.0.0';
+
+// Every tus response carries Tus-Resumable and requests have to speak the same version
+const tusHeaders = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).json({
+      success: false,
+      error: `Tus-Resumable ${TUS_VERSION} is required`,
+      service: 'Ladybug CDN',
+      code: 'TUS_VERSION_UNSUPPORTED'
+    });
+  }
+  next();
+};
+
+// "filename d29ybGQ=,filetype aW1hZ2UvcG5n" -> { filename: 'world', filetype: 'image/png' },
+// null when the header is malformed
+function parseUploadMetadata(header = '') {
+  const metadata = {};
+  for (const pair of header.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [key, value = '', extra] = pair.split(' ');
+    if (extra !== undefined || !/^[A-Za-z0-9_-]+$/.test(key) || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      return null;
+    }
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+}
+
+// The type a resumable upload is checked against, like multer's mimetype for a form upload
+function declaredType(metadata) {
+  return metadata.filetype || mime.lookup(metadata.filename) || 'application/octet-stream';
+}
+
+// Refuses a declared type before any bytes arrive, checkFile still runs on the content
+function checkDeclaredType(type) {
+  if (sniff.DANGEROUS_MIME_TYPES.includes(type) && !ALLOWED_DANGEROUS_MIME_TYPES.includes(type)) {
+    return { status: 400, error: `File type ${type} is not accepted on this CDN`, code: 'DANGEROUS_FILE_TYPE' };
+  }
+  if (!ALLOWED_MIME_TYPES.includes(type)) {
+    return { status: 400, error: 'File type not allowed', code: 'INVALID_FILE_TYPE' };
+  }
+  return null;
+}
+
+function uploadExpires(session) {
+  return new Date(session.expiresAt).toUTCString();
+}
+
+// Sessions started with an API key are only visible to that key. Sends the 404 itself
+function findSession(req, res) {
+  const session = resumable.getSession(req.params.uploadId);
+  if (!session || (session.apiKeyId && session.apiKeyId !== req.apiKey?.id)) {
+    res.status(404).json({
+      success: false,
+      error: 'Upload not found',
+      service: 'Ladybug CDN',
+      code: 'UPLOAD_NOT_FOUND'
+    });
+    return null;
+  }
+  return session;
+}
+
+// The assembled file goes through the same checks and upload as /api/ladybug/upload
+function finishResumable(buffer, session, req) {
+  const { metadata } = session;
+  const file = {
+    originalname: metadata.filename,
+    mimetype: declaredType(metadata),
+    size: buffer.length,
+    buffer: buffer
+  };
+
+  return checkAndUpload(file, req, {
+    source: 'resumable',
+    customId: metadata.customId || null,
+    dedupe: String(metadata.dedupe).toLowerCase() !== 'false',
+    apiKey: req.apiKey,
+    expiresIn: metadata.expiresIn ? Number(metadata.expiresIn) : null,
+    visibility: metadata.visibility || 'public'
+  });
+}
+
+// Headers the tus routes are declared with
+const tusFields = {
+  'Tus-Resumable': { type: 'string', enum: [TUS_VERSION], required: true, description: `Protocol version, ${TUS_VERSION}` },
+  'Upload-Offset': {
+    type: 'string',
+    pattern: '^\\d+$',
+    required: true,
+    description: 'Bytes already received, as reported by HEAD',
+    code: 'INVALID_UPLOAD_OFFSET',
+    message: 'Upload-Offset must be a number of bytes'
+  }
+};
+
+const uploadIdParam = {
+  uploadId: { type: 'string', description: 'From the Location of the POST' }
+};
+
+// Server capabilities, for tus clients and CORS preflights alike
+route({
+  method: 'options',
+  path: '/api/ladybug/uploads{/:uploadId}',
+  category: 'cdn',
+  summary: 'tus server capabilities',
+  hidden: true
+}, (req, res) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': 'creation,expiration,termination',
+    'Tus-Max-Size': MAX_UPLOAD_SIZE
+  }).sendStatus(204);
+});
+
+// Start a resumable upload. Upload-Metadata takes filename (required), filetype, customId,
+// expiresIn, visibility and dedupe, the file is checked and uploaded once its last byte arrives
+route({
+  method: 'post',
+  path: '/api/ladybug/uploads',
+  category: 'cdn',
+  summary: 'Start a resumable upload',
+  description: 'Start a resumable upload (tus 1.0 with the creation, expiration and termination extensions). Same API key auth as /api/ladybug/upload, every request needs "Tus-Resumable: 1.0.0"',
+  auth: 'apiKey',
+  headers: {
+    'Tus-Resumable': tusFields['Tus-Resumable'],
+    'Upload-Length': {
+      type: 'string',
+      pattern: '^\\d+$',
+      required: true,
+      description: `File size in bytes (up to ${MAX_UPLOAD_SIZE})`,
+      code: 'INVALID_UPLOAD_LENGTH',
+      message: 'Upload-Length must be the file size in bytes'
+    },
+    'Upload-Metadata': { type: 'string', description: '"key base64-value" pairs, filename (required), filetype, customId, expiresIn, visibility and dedupe' }
+  },
+  responses: {
+    201: 'Created, Location is the upload URL to PATCH chunks to',
+    412: 'Tus-Resumable is missing or another version',
+    413: 'Upload-Length is over the maximum file size'
+  }
+}, authenticateApiKey, apiLimiter, tusHeaders, (req, res) => {
+  const length = Number(req.get('Upload-Length'));
+  const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+
+  const invalid = [
+    [!metadata, 'Upload-Metadata must be comma separated "key base64-value" pairs', 'INVALID_METADATA'],
+    [metadata && !metadata.filename, 'Upload-Metadata must include filename', 'NO_FILENAME']
+  ].find(([failed]) => failed);
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid[1],
+      service: 'Ladybug CDN',
+      code: invalid[2]
+    });
+  }
+
+  if (length > MAX_UPLOAD_SIZE) {
+    return res.status(413).set('Tus-Max-Size', MAX_UPLOAD_SIZE).json({
+      success: false,
+      error: `File is larger than ${MAX_UPLOAD_SIZE} bytes`,
+      service: 'Ladybug CDN',
+      code: 'FILE_TOO_LARGE'
+    });
+  }
+
+  const type = declaredType(metadata);
+  const rejection = parseExpiresIn(metadata.expiresIn).rejection
+    || parseVisibility(metadata.visibility).rejection
+    || checkDeclaredType(type)
+    || checkUpload({ size: length }, getFolderForContentType(type), { customId: metadata.customId, apiKey: req.apiKey });
+
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      error: rejection.error,
+      service: 'Ladybug CDN',
+      code: rejection.code
+    });
+  }
+
+  const session = resumable.createSession({ length, metadata, apiKeyId: req.apiKey?.id });
+  const uploadUrl = `${getBaseUrl(req)}/api/ladybug/uploads/${session.uploadId}`;
+
+  res.status(201).location(uploadUrl).set('Upload-Expires', uploadExpires(session)).json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      uploadId: session.uploadId,
+      uploadUrl: uploadUrl,
+      length: session.length,
+      expiresAt: session.expiresAt
+    },
+    timestamp: session.createdAt
+  });
+});
+
+// Offset to resume from
+route({
+  method: 'head',
+  path: '/api/ladybug/uploads/:uploadId',
+  category: 'cdn',
+  summary: 'Offset to resume from, in the Upload-Offset header',
+  auth: 'apiKey',
+  params: uploadIdParam,
+  headers: { 'Tus-Resumable': tusFields['Tus-Resumable'] },
+  responses: {
+    200: 'Upload-Offset and Upload-Length headers',
+    404: 'No such upload for this API key'
+  }
+}, authenticateApiKey, tusHeaders, (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+
+  res.set({
+    'Upload-Offset': session.offset,
+    'Upload-Length': session.length,
+    'Upload-Expires': uploadExpires(session),
+    'Cache-Control': 'no-store'
+  }).status(200).end();
+});
+
+// Session status as JSON, including the upload's outcome once it has finished
+route({
+  method: 'get',
+  path: '/api/ladybug/uploads/:uploadId',
+  category: 'cdn',
+  summary: 'Resumable upload status as JSON, with the upload response once it has finished',
+  auth: 'apiKey',
+  params: uploadIdParam,
+  responses: {
+    200: { description: 'The upload session', schema: schemas.envelope(schemas.ref('ResumableUpload')) },
+    404: 'No such upload for this API key'
+  }
+}, authenticateApiKey, (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+
+  const outcome = resumable.getResult(session.uploadId);
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      ...resumable.toPublic(session),
+      httpStatus: outcome ? outcome.status : undefined,
+      result: outcome ? outcome.body : undefined
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Append a chunk at Upload-Offset. The request that brings the last byte gets the upload's
+// outcome (200 and the usual upload response), the others a 204
+route({
+  method: 'patch',
+  path: '/api/ladybug/uploads/:uploadId',
+  category: 'cdn',
+  summary: 'Send the next chunk',
+  description: 'Send the next chunk as application/offset+octet-stream. The last chunk answers with the usual upload response',
+  auth: 'apiKey',
+  params: uploadIdParam,
+  headers: tusFields,
+  body: { type: 'binary', contentType: 'application/offset+octet-stream', description: 'The bytes from Upload-Offset on' },
+  responses: {
+    200: { description: 'The last chunk: the stored file', schema: schemas.ref('Upload') },
+    204: 'Chunk stored, Upload-Offset is the new offset',
+    404: 'No such upload for this API key',
+    409: 'Upload-Offset doesn\'t match or the upload has finished',
+    415: 'Content-Type isn\'t application/offset+octet-stream'
+  }
+}, authenticateApiKey, tusHeaders, async (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+
+  const invalid = [
+    [req.get('Content-Type') !== 'application/offset+octet-stream', 'Content-Type must be application/offset+octet-stream', 'INVALID_CONTENT_TYPE', 415],
+    [session.status !== 'uploading', `This upload has already ${session.status}, its outcome is at GET ${req.originalUrl}`, 'UPLOAD_FINISHED', 409],
+    [Number(req.get('Upload-Offset')) !== session.offset, `Upload-Offset does not match, resume from ${session.offset}`, 'OFFSET_MISMATCH', 409]
+  ].find(([failed]) => failed);
+
+  if (invalid) {
+    return res.status(invalid[3]).set('Upload-Offset', session.offset).json({
+      success: false,
+      error: invalid[1],
+      service: 'Ladybug CDN',
+      code: invalid[2]
+    });
+  }
+
+  let updated;
+  try {
+    updated = await resumable.appendChunk(session.uploadId, req);
+  } catch (error) {
+    // A dropped connection is the case this protocol exists for, what arrived is kept
+    if (!error.status && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('Ladybug CDN - Error writing upload chunk', error);
+    }
+    return res.status(error.status || 500).set('Upload-Offset', resumable.getSession(session.uploadId)?.offset ?? session.offset).json({
+      success: false,
+      error: error.message,
+      service: 'Ladybug CDN',
+      code: error.status ? error.code : 'CHUNK_FAILED'
+    });
+  }
+
+  res.set({ 'Upload-Offset': updated.offset, 'Upload-Expires': uploadExpires(updated) });
+  if (updated.offset < updated.length) {
+    return res.status(204).end();
+  }
+
+  try {
+    sendResult(res, await resumable.complete(updated.uploadId, buffer => finishResumable(buffer, updated, req)));
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Ladybug CDN - Error finishing resumable upload', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      service: 'Ladybug CDN',
+      code: error.status ? error.code : 'UPLOAD_FAILED'
+    });
+  }
+});
+
+// Abandon an upload (tus termination)
+route({
+  method: 'delete',
+  path: '/api/ladybug/uploads/:uploadId',
+  category: 'cdn',
+  summary: 'Abandon a resumable upload',
+  description: 'Abandon a resumable upload, unfinished ones are also removed after RESUMABLE_EXPIRY without a chunk',
+  auth: 'apiKey',
+  params: uploadIdParam,
+  headers: { 'Tus-Resumable': tusFields['Tus-Resumable'] },
+  responses: {
+    204: 'Removed',
+    404: 'No such upload for this API key',
+    423: 'A chunk is being written'
+  }
+}, authenticateApiKey, tusHeaders, async (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+
+  if (resumable.isBusy(session.uploadId)) {
+    return res.status(423).json({
+      success: false,
+      error: 'This upload is being written to',
+      service: 'Ladybug CDN',
+      code: 'UPLOAD_LOCKED'
+    });
+  }
+
+  await resumable.removeSession(session.uploadId);
+  res.status(204).end();
+});
+
+const fileIdParam = {
+  fileId: { type: 'string', description: 'File ID from the upload response' }
+};
+
+// List stored files, newest first
+route({
+  method: 'get',
+  path: '/api/ladybug/files',
+  category: 'cdn',
+  summary: 'List stored files, newest first',
+  description: 'List the files uploaded with the API key, newest first. X-Admin-Token lists every file',
+  auth: 'apiKey',
+  headers: {
+    'X-Admin-Token': { type: 'string', description: 'Admin token, lists every file instead of the API key\'s' }
+  },
+  query: {
+    page: { type: 'integer', minimum: 1, default: 1, description: 'Page number (default 1)', message: 'page must be a positive integer' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Files per page, 1-100 (default 20)' },
+    folder: { type: 'string', description: 'Only files in this folder' },
+    mimeType: { type: 'string', description: 'Exact type or a family like image/*' },
+    from: { type: 'string', description: 'Uploaded at or after this date' },
+    to: { type: 'string', description: 'Uploaded at or before this date' },
+    q: { type: 'string', maxLength: 100, description: 'Search in file names', code: 'INVALID_QUERY', message: 'q must be a search string of at most 100 characters' }
+  },
+  responses: {
+    200: {
+      description: 'A page of file records',
+      schema: schemas.envelope({
+        type: 'object',
+        properties: {
+          files: schemas.listOf('FileRecord'),
+          pagination: {
+            type: 'object',
+            properties: { page: { type: 'integer' }, limit: { type: 'integer' }, total: { type: 'integer' }, totalPages: { type: 'integer' } }
+          }
+        }
+      })
+    },
+    401: 'Neither an API key nor the admin token'
+  }
+}, authenticateApiKey, apiLimiter, (req, res) => {
+  const canSee = fileScope(req);
+  if (!canSee) {
+    return res.status(401).json({
+      success: false,
+      error: 'Listing files takes the API key that uploaded them or the admin token',
+      service: 'Ladybug CDN',
+      code: 'NO_API_KEY'
+    });
+  }
+
+  const { folder, mimeType, q } = req.query;
+  const page = Number(req.query.page ?? 1);
+  const limit = Number(req.query.limit ?? 20);
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be dates, e.g. 2024-01-31 or an ISO timestamp',
+      service: 'Ladybug CDN',
+      code: 'INVALID_DATE'
+    });
+  }
+
+  const matches = registry.searchFiles({ folder, mimeType, from, to, q }).filter(canSee);
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      files: matches.slice((page - 1) * limit, page * limit).map(record => registry.toPublic(record)),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Metadata of one stored file
+route({
+  method: 'get',
+  path: '/api/ladybug/files/:fileId',
+  category: 'cdn',
+  summary: 'Metadata of a stored file',
+  description: 'Metadata of a stored file: size, mimeType, commit SHA, upload time, rawUrl and pinnedUrl (pinned to the commit, never stale). Takes the API key that uploaded it or X-Admin-Token',
+  auth: 'apiKey',
+  params: fileIdParam,
+  headers: {
+    'X-Admin-Token': { type: 'string', description: 'Admin token, instead of the API key' }
+  },
+  responses: {
+    200: { description: 'The file record', schema: schemas.envelope(schemas.ref('FileRecord')) },
+    404: 'No such file, or not one of the API key\'s'
+  }
+}, authenticateApiKey, apiLimiter, (req, res) => {
+  const record = registry.getFile(req.params.fileId);
+  const canSee = fileScope(req);
+
+  // Someone else's file answers like a missing one, so IDs can't be probed
+  if (!record || !canSee || !canSee(record)) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: registry.toPublic(record),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Download a stored file, chunked uploads are reassembled part by part
+route({
+  method: 'get',
+  path: '/api/ladybug/files/:fileId/download',
+  category: 'cdn',
+  summary: 'Download a file',
+  description: 'Download a file, reassembling large files that were split into parts. Private files are refused, they need a signed URL',
+  params: fileIdParam,
+  responses: {
+    200: { description: 'The file', contentType: 'application/octet-stream', schema: { type: 'string', format: 'binary' } },
+    403: 'Private file, use a signed URL',
+    404: 'No such file',
+    410: 'The file has expired'
+  }
+}, apiLimiter, async (req, res) => {
+  const record = registry.getFile(req.params.fileId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  if (expiry.isExpired(record)) {
+    return res.status(410).json({
+      success: false,
+      error: 'File has expired',
+      service: 'Ladybug CDN',
+      code: 'FILE_EXPIRED'
+    });
+  }
+
+  if (record.visibility === 'private') {
+    return res.status(403).json({
+      success: false,
+      error: 'Private files are only served through signed URLs, see POST /api/ladybug/files/:fileId/signed-url',
+      service: 'Ladybug CDN',
+      code: 'PRIVATE_FILE'
+    });
+  }
+
+  if (!record.chunked) {
+    return res.redirect(record.rawUrl);
+  }
+
+  try {
+    res.set({
+      'Content-Type': record.mimeType,
+      'Content-Length': record.fileSize,
+      ...untrustedContentHeaders(record.fileName, record.mimeType)
+    });
+
+    for (const part of record.parts) {
+      const stream = await storage.driverForRecord(record).get(part.path, record.repo, part.sha);
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('end', resolve);
+        stream.pipe(res, { end: false });
+      });
+    }
+    res.end();
+
+  } catch (error) {
+    logger.error('Ladybug CDN - Error downloading file', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      service: 'Ladybug CDN',
+      code: 'DOWNLOAD_FAILED'
+    });
+  }
+});
+
+// Chunks of objects [{ path, id }] read one after the other
+async function* readObjects(driver, location, objects) {
+  for (const object of objects) {
+    yield* await driver.get(object.path, location, object.id);
+  }
+}
+
+async function writeChunk(res, chunk) {
+  if (chunk.length && !res.write(chunk) && !res.destroyed) {
+    await drained(res);
+  }
+}
+
+// Download an encrypted upload as plaintext. The key goes in X-Encryption-Key (or ?key= for
+// links), a passphrase in X-Encryption-Passphrase, neither outlives the request. GCM only
+// authenticates at the end, so a tampered file is cut off mid-response instead of completing
+route({
+  method: 'get',
+  path: '/api/ladybug/files/:fileId/decrypt',
+  category: 'cdn',
+  summary: 'Download an encrypted upload decrypted',
+  description: 'Download an encrypted upload decrypted, with its original type. The key is never stored, without it the file can\'t be read',
+  auth: 'encryptionKey',
+  params: fileIdParam,
+  headers: {
+    'X-Encryption-Key': { type: 'string', description: 'encryptionKey from the upload response (or ?key=, which may end up in logs)' },
+    'X-Encryption-Passphrase': { type: 'string', description: 'The passphrase the file was uploaded with' }
+  },
+  query: {
+    key: { type: 'string', description: 'encryptionKey, when a header can\'t be sent' }
+  },
+  responses: {
+    200: { description: 'The decrypted file with its original Content-Type', contentType: 'application/octet-stream', schema: { type: 'string', format: 'binary' } },
+    401: 'No key or passphrase',
+    403: 'Wrong key or passphrase',
+    404: 'No such file',
+    410: 'The file has expired'
+  }
+}, apiLimiter, async (req, res) => {
+  const record = registry.getFile(req.params.fileId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  if (expiry.isExpired(record)) {
+    return res.status(410).json({
+      success: false,
+      error: 'File has expired',
+      service: 'Ladybug CDN',
+      code: 'FILE_EXPIRED'
+    });
+  }
+
+  if (!record.encryption) {
+    return res.status(400).json({
+      success: false,
+      error: 'File is not encrypted, download it from rawUrl',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_ENCRYPTED'
+    });
+  }
+
+  const credentials = {
+    key: req.get('X-Encryption-Key') || req.query.key || null,
+    passphrase: req.get('X-Encryption-Passphrase') || null
+  };
+
+  if (!credentials.key && !credentials.passphrase) {
+    return res.status(401).json({
+      success: false,
+      error: 'Send the key as X-Encryption-Key (or ?key=) or the passphrase as X-Encryption-Passphrase',
+      service: 'Ladybug CDN',
+      code: 'NO_ENCRYPTION_KEY'
+    });
+  }
+
+  const objects = record.chunked
+    ? record.parts.map(part => ({ path: part.path, id: part.sha }))
+    : [{ path: record.path, id: record.sha }];
+  const chunks = readObjects(storage.driverForRecord(record), record.repo, objects);
+
+  try {
+    let head = Buffer.alloc(0);
+    while (head.length < encryption.HEADER_SIZE) {
+      const { value, done } = await chunks.next();
+      if (done) break;
+      head = Buffer.concat([head, value]);
+    }
+
+    const header = encryption.parseHeader(head);
+    const key = header && await encryption.unlock(header, credentials);
+
+    if (!key) {
+      await chunks.return();
+      return res.status(header ? 403 : 500).json({
+        success: false,
+        error: header ? 'Wrong key or passphrase for this file' : 'Stored file is not in a format this server can decrypt',
+        service: 'Ladybug CDN',
+        code: header ? 'INVALID_ENCRYPTION_KEY' : 'DECRYPT_FAILED'
+      });
+    }
+
+    const decipher = encryption.createDecipher(header, key);
+    res.set({
+      'Content-Type': record.encryption.mimeType,
+      'Content-Length': record.encryption.fileSize,
+      'Cache-Control': 'no-store',
+      ...untrustedContentHeaders(record.fileName.replace(/\.enc$/, ''), record.encryption.mimeType)
+    });
+
+    await writeChunk(res, decipher.update(head.subarray(encryption.HEADER_SIZE)));
+    for await (const chunk of chunks) {
+      if (res.destroyed) break;
+      await writeChunk(res, decipher.update(chunk));
+    }
+    if (res.destroyed) return;
+    decipher.final();
+    res.end();
+
+  } catch (error) {
+    logger.error('Ladybug CDN - Error decrypting file', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      service: 'Ladybug CDN',
+      code: 'DECRYPT_FAILED'
+    });
+  }
+});
+
+// Delete a file using the deleteKey returned at upload time
+route({
+  method: 'delete',
+  path: '/api/ladybug/files/:fileId',
+  category: 'cdn',
+  summary: 'Delete an uploaded file',
+  description: 'Delete an uploaded file, its jsDelivr cache is purged too. The deleteKey may also come in a JSON body',
+  auth: 'deleteKey',
+  params: fileIdParam,
+  headers: {
+    'X-Delete-Key': { type: 'string', description: 'deleteKey from the upload response' }
+  },
+  query: {
+    deleteKey: { type: 'string', description: 'deleteKey from the upload response (body, query or X-Delete-Key header)' }
+  },
+  responses: {
+    200: 'Deleted',
+    403: 'Wrong deleteKey',
+    404: 'No such file'
+  }
+}, apiLimiter, async (req, res) => {
+  const deleteKey = req.get('X-Delete-Key') || req.body?.deleteKey || req.query.deleteKey;
+
+  if (!deleteKey) {
+    return res.status(400).json({
+      success: false,
+      error: 'deleteKey is required',
+      service: 'Ladybug CDN',
+      code: 'NO_DELETE_KEY'
+    });
+  }
+
+  const record = registry.getFile(req.params.fileId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  if (!registry.verifyDeleteKey(record, deleteKey)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid deleteKey',
+      service: 'Ladybug CDN',
+      code: 'INVALID_DELETE_KEY'
+    });
+  }
+
+  try {
+    // Drivers treat objects that are already gone as deleted, only the registry entry is left then
+    await writeQueue.remove(storage.driverForRecord(record), registry.recordObjects(record), {
+      message: `Deleted via Ladybug CDN - ${record.fileName}`,
+      location: record.repo
+    });
+  } catch (error) {
+    logger.error('Ladybug CDN - Error deleting file', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      service: 'Ladybug CDN',
+      code: 'DELETE_FAILED'
+    });
+  }
+
+  registry.removeFile(record.fileId);
+  purgeRecord(record);
+  webhooks.emit('file.deleted', record.folder, { file: registry.toPublic(record), source: 'api' });
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      fileId: record.fileId,
+      fileName: record.fileName,
+      folder: record.folder,
+      deleted: true
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Clear the CDN's cached copies of a file, for when the @branch URL serves something stale.
+// Only for its owner (see isFileOwner), each purge spends jsDelivr's rate limit for everyone
+route({
+  method: 'post',
+  path: '/api/ladybug/files/:fileId/purge',
+  category: 'cdn',
+  summary: 'Purge a file from the jsDelivr cache',
+  description: 'Ask jsDelivr to drop its cached copy of a file\'s rawUrl (GitHub storage). Takes the API key that uploaded it, its deleteKey (X-Delete-Key) or X-Admin-Token',
+  auth: 'apiKey',
+  params: fileIdParam,
+  headers: {
+    'X-Delete-Key': { type: 'string', description: 'deleteKey of the file, instead of the API key' },
+    'X-Admin-Token': { type: 'string', description: 'Admin token, instead of the API key' }
+  },
+  responses: {
+    200: 'Purge result',
+    400: 'The file isn\'t served through jsDelivr',
+    403: 'Neither the uploading API key, the deleteKey nor the admin token',
+    404: 'No such file'
+  }
+}, authenticateApiKey, apiLimiter, async (req, res) => {
+  const record = registry.getFile(req.params.fileId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  if (!isFileOwner(req, record)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Purging takes the API key that uploaded the file, its deleteKey or the admin token',
+      service: 'Ladybug CDN',
+      code: 'NOT_FILE_OWNER'
+    });
+  }
+
+  const results = await purgeRecord(record);
+  if (!results) {
+    return res.status(400).json({
+      success: false,
+      error: `Files on ${record.storage || 'github'} storage are not served through a CDN that can be purged`,
+      service: 'Ladybug CDN',
+      code: 'PURGE_UNSUPPORTED'
+    });
+  }
+
+  const purged = results.filter(result => result.purged).length;
+  res.status(purged > 0 ? 200 : 502).json({
+    success: purged > 0,
+    service: 'Ladybug CDN',
+    data: {
+      fileId: record.fileId,
+      total: results.length,
+      purged: purged,
+      results: results
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== PRIVATE FILE APIs ====================
+
+// Mint a signed URL for a private file, for its owner (see isFileOwner)
+route({
+  method: 'post',
+  path: '/api/ladybug/files/:fileId/signed-url',
+  category: 'cdn',
+  summary: 'Mint a signed URL for a private file',
+  description: 'Mint a signed URL for a private file. Takes the API key that uploaded it, its deleteKey (X-Delete-Key) or X-Admin-Token',
+  auth: 'apiKey',
+  params: fileIdParam,
+  headers: {
+    'X-Delete-Key': { type: 'string', description: 'deleteKey of the file, instead of the API key' },
+    'X-Admin-Token': { type: 'string', description: 'Admin token, instead of the API key' }
+  },
+  body: {
+    type: 'json',
+    fields: {
+      expiresIn: {
+        type: 'integer',
+        minimum: 60,
+        maximum: signedurls.MAX_TTL,
+        default: signedurls.DEFAULT_TTL,
+        query: true,
+        description: `Seconds the URL stays valid (60-${signedurls.MAX_TTL}, default ${signedurls.DEFAULT_TTL})`,
+        code: 'INVALID_EXPIRY'
+      },
+      variant: { type: 'string', query: true, description: 'Optional image variant to point at, e.g. thumb150 or webp' }
+    }
+  },
+  responses: {
+    200: {
+      description: 'The signed URL',
+      schema: schemas.envelope({
+        type: 'object',
+        properties: { fileId: { type: 'string' }, variant: { type: 'string', nullable: true }, url: { type: 'string' }, expiresAt: { type: 'string', format: 'date-time' } }
+      })
+    },
+    403: 'Neither the uploading API key, the deleteKey nor the admin token',
+    404: 'No such file',
+    503: 'Private files are disabled'
+  }
+}, authenticateApiKey, apiLimiter, (req, res) => {
+  if (!signedurls.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Private files are disabled, set GITHUB_PRIVATE_REPO and SIGNED_URL_SECRET to enable them',
+      service: 'Ladybug CDN',
+      code: 'PRIVATE_FILES_DISABLED'
+    });
+  }
+
+  const record = registry.getFile(req.params.fileId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  if (!isFileOwner(req, record)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Signing takes the API key that uploaded the file, its deleteKey or the admin token',
+      service: 'Ladybug CDN',
+      code: 'NOT_FILE_OWNER'
+    });
+  }
+
+  const ttl = Number(req.body?.expiresIn ?? req.query.expiresIn ?? signedurls.DEFAULT_TTL);
+  const variant = req.body?.variant ?? req.query.variant ?? null;
+
+  const invalid = [
+    [record.visibility !== 'private', 'Only private files need signed URLs, public ones are served from rawUrl', 'FILE_NOT_PRIVATE'],
+    [variant !== null && !record.variants?.[variant], `variant must be one of: ${Object.keys(record.variants || {}).join(', ') || 'none, this file has no variants'}`, 'INVALID_VARIANT']
+  ].find(([failed]) => failed);
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid[1],
+      service: 'Ladybug CDN',
+      code: invalid[2]
+    });
+  }
+
+  const signed = signedurls.createSignedUrl(getBaseUrl(req), record.fileId, { ttl, variant });
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      fileId: record.fileId,
+      variant: variant,
+      url: signed.url,
+      expiresAt: signed.expiresAt
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Writes bytes start..end (inclusive) of objects [{ path, id, size }] laid end to end. Only
+// the objects the range touches are fetched and reading stops once the range is sent or
+// the client is gone
+async function streamRange(res, driver, location, objects, start, end) {
+  let offset = 0;
+
+  for (const object of objects) {
+    const from = Math.max(start - offset, 0);
+    const to = Math.min(end - offset, object.size - 1);
+    offset += object.size;
+    if (to < from) continue;
+
+    let position = 0;
+    const stream = await driver.get(object.path, location, object.id);
+    for await (const chunk of stream) {
+      const slice = chunk.subarray(Math.max(from - position, 0), Math.max(to + 1 - position, 0));
+      position += chunk.length;
+      if (slice.length && !res.write(slice) && !res.destroyed) {
+        await drained(res);
+      }
+      if (res.destroyed || position > to) break;
+    }
+    if (res.destroyed) return;
+  }
+}
+
+// Private file proxy, ?variant= serves one of the image variants. Answers Range requests
+// with 206 so players can seek, requests for several ranges get the whole file
+route({
+  method: 'get',
+  path: '/f/:fileId',
+  category: 'cdn',
+  summary: 'Serve a private file through a signed URL',
+  description: 'Serve a private file through the signed URL minted for it. Honours Range requests (206) so video and audio can seek',
+  auth: 'signedUrl',
+  params: fileIdParam,
+  query: {
+    token: { type: 'string', description: 'Signature and expiry, part of the signed URL' },
+    variant: { type: 'string', description: 'Image variant the URL was minted for' }
+  },
+  headers: {
+    Range: { type: 'string', description: 'bytes=start-end, a single range is answered with 206' }
+  },
+  responses: {
+    200: { description: 'The file', contentType: 'application/octet-stream', schema: { type: 'string', format: 'binary' } },
+    206: { description: 'The requested range', contentType: 'application/octet-stream', schema: { type: 'string', format: 'binary' } },
+    401: 'No token',
+    403: 'Invalid or expired token',
+    404: 'No such private file',
+    416: 'Range outside the file',
+    503: 'Private files are disabled'
+  }
+}, fileLimiter, async (req, res) => {
+  if (!signedurls.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Private files are disabled, set GITHUB_PRIVATE_REPO and SIGNED_URL_SECRET to enable them',
+      service: 'Ladybug CDN',
+      code: 'PRIVATE_FILES_DISABLED'
+    });
+  }
+
+  const { expiresAt, rejection } = signedurls.checkToken(req.params.fileId, req.query.token, { variant: req.query.variant || null });
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      error: rejection.error,
+      service: 'Ladybug CDN',
+      code: rejection.code
+    });
+  }
+
+  const record = registry.getFile(req.params.fileId);
+
+  if (!record || record.visibility !== 'private') {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      service: 'Ladybug CDN',
+      code: 'FILE_NOT_FOUND'
+    });
+  }
+
+  if (expiry.isExpired(record)) {
+    return res.status(410).json({
+      success: false,
+      error: 'File has expired',
+      service: 'Ladybug CDN',
+      code: 'FILE_EXPIRED'
+    });
+  }
+
+  const variant = req.query.variant ? record.variants?.[req.query.variant] : null;
+  if (req.query.variant && !variant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Variant not found',
+      service: 'Ladybug CDN',
+      code: 'VARIANT_NOT_FOUND'
+    });
+  }
+
+  const target = variant || record;
+  const size = target.fileSize;
+  const objects = !variant && record.chunked
+    ? record.parts.map(part => ({ path: part.path, id: part.sha, size: part.size }))
+    : [{ path: target.path, id: target.sha, size: size }];
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    return res.status(416).set('Content-Range', `bytes */${size}`).json({
+      success: false,
+      error: `Range is outside the file's ${size} bytes`,
+      service: 'Ladybug CDN',
+      code: 'RANGE_NOT_SATISFIABLE'
+    });
+  }
+
+  const partial = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1;
+  const start = partial ? ranges[0].start : 0;
+  const end = partial ? ranges[0].end : size - 1;
+
+  res.status(partial ? 206 : 200).set({
+    'Content-Type': target.mimeType,
+    'Content-Length': end - start + 1,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': `private, max-age=${Math.max(Math.floor((expiresAt - Date.now()) / 1000), 0)}`,
+    ...untrustedContentHeaders(path.posix.basename(target.path), target.mimeType)
+  });
+  if (partial) {
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  try {
+    await streamRange(res, storage.driverForRecord(record), record.repo, objects, start, end);
+    res.end();
+  } catch (error) {
+    logger.error('Ladybug CDN - Error serving private file', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Range');
+    res.removeHeader('Content-Disposition');
+    res.status(500).set('Cache-Control', 'no-store').json({
+      success: false,
+      error: error.message,
+      service: 'Ladybug CDN',
+      code: 'DOWNLOAD_FAILED'
+    });
+  }
+});
+
+// ==================== ADMIN APIs ====================
+
+const KNOWN_FOLDERS = [...Object.keys(FOLDER_MAP), 'files'];
+
+const folderList = {
+  type: 'array',
+  nullable: true,
+  items: { type: 'string', enum: KNOWN_FOLDERS },
+  code: 'INVALID_FOLDERS'
+};
+
+// Issue an API key, the key is only ever returned in this response
+route({
+  method: 'post',
+  path: '/api/admin/keys',
+  category: 'admin',
+  summary: 'Issue an API key',
+  auth: 'admin',
+  body: {
+    type: 'json',
+    fields: {
+      name: { type: 'string', required: true, pattern: '\\S', maxLength: 100, description: 'Key name', code: 'INVALID_NAME', message: 'name is required (max 100 characters)' },
+      rateLimit: {
+        type: 'object',
+        properties: { windowMs: { type: 'integer', minimum: 1000 }, max: { type: 'integer', minimum: 1 } },
+        description: '{ windowMs, max }',
+        code: 'INVALID_RATE_LIMIT',
+        message: 'rateLimit must be { windowMs: >= 1000, max: >= 1 }'
+      },
+      dailyUploadBytes: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Daily upload quota in bytes, 0 = unlimited',
+        code: 'INVALID_QUOTA',
+        message: 'dailyUploadBytes must be a non-negative integer (0 = unlimited)'
+      },
+      allowedFolders: { ...folderList, description: 'Folders the key may upload to, null = all', message: `allowedFolders must be null or a list of: ${KNOWN_FOLDERS.join(', ')}` }
+    }
+  },
+  responses: {
+    201: {
+      description: 'The key, only ever returned here, with its record',
+      schema: schemas.envelope({ allOf: [{ type: 'object', properties: { key: { type: 'string' } } }, schemas.ref('ApiKey')] })
+    }
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  const {
+    name,
+    rateLimit: keyRateLimit = { windowMs: 60 * 1000, max: 30 },
+    dailyUploadBytes = parseInt(config.apiKeyDailyUploadBytes) || 0,
+    allowedFolders = null
+  } = req.body;
+
+  // The declaration only checks rateLimit is an object
+  if (!keyRateLimit || !Number.isInteger(keyRateLimit.windowMs) || keyRateLimit.windowMs < 1000 || !Number.isInteger(keyRateLimit.max) || keyRateLimit.max < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'rateLimit must be { windowMs: >= 1000, max: >= 1 }',
+      service: 'Ladybug CDN',
+      code: 'INVALID_RATE_LIMIT'
+    });
+  }
+
+  const { key, record } = apikeys.createKey({
+    name: name.trim(),
+    rateLimit: { windowMs: keyRateLimit.windowMs, max: keyRateLimit.max },
+    dailyUploadBytes: Number(dailyUploadBytes),
+    allowedFolders: allowedFolders
+  });
+
+  res.status(201).json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      key: key,
+      ...apikeys.toPublic(record)
+    },
+    timestamp: record.createdAt
+  });
+});
+
+// List API keys with today's usage
+route({
+  method: 'get',
+  path: '/api/admin/keys',
+  category: 'admin',
+  summary: 'List API keys with usage',
+  auth: 'admin',
+  responses: {
+    200: { description: 'Every key', schema: schemas.envelope(schemas.listOf('ApiKey')) }
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: apikeys.listKeys().map(record => apikeys.toPublic(record)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Revoke an API key
+route({
+  method: 'delete',
+  path: '/api/admin/keys/:keyId',
+  category: 'admin',
+  summary: 'Revoke an API key',
+  auth: 'admin',
+  params: {
+    keyId: { type: 'string', description: 'Key ID' }
+  },
+  responses: {
+    200: { description: 'The revoked key', schema: schemas.envelope(schemas.ref('ApiKey')) },
+    404: 'No such key'
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  const record = apikeys.revokeKey(req.params.keyId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found',
+      service: 'Ladybug CDN',
+      code: 'KEY_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: apikeys.toPublic(record),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Validates a webhook create or update body. Fields left out keep their current value
+// (or the default on create). Resolves with { changes } or { invalid: [message, code] }
+async function webhookChanges(body, current = null) {
+  const {
+    url = current ? current.url : undefined,
+    events = current ? current.events : webhooks.EVENTS,
+    folders = current ? current.folders : null,
+    description = current ? current.description : '',
+    active = current ? current.active : true
+  } = body;
+
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+
+  const invalid = [
+    [!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol), 'url must be an http(s) URL', 'INVALID_URL'],
+    [!Array.isArray(events) || events.length === 0 || events.some(event => !webhooks.EVENTS.includes(event)),
+      `events must be a non-empty list of: ${webhooks.EVENTS.join(', ')}`, 'INVALID_EVENTS'],
+    [folders !== null && (!Array.isArray(folders) || folders.some(folder => !KNOWN_FOLDERS.includes(folder))),
+      `folders must be null or a list of: ${KNOWN_FOLDERS.join(', ')}`, 'INVALID_FOLDERS'],
+    [typeof description !== 'string' || description.length > 200, 'description must be a string of at most 200 characters', 'INVALID_DESCRIPTION'],
+    [typeof active !== 'boolean', 'active must be true or false', 'INVALID_ACTIVE']
+  ].find(([failed]) => failed);
+
+  if (invalid) {
+    return { invalid: invalid.slice(1) };
+  }
+
+  // Deliveries to private addresses are refused, so is saving one
+  try {
+    await remote.checkPublicUrl(parsedUrl.href);
+  } catch (error) {
+    return { invalid: [`url ${error.message}`, error.code] };
+  }
+
+  return { changes: { url: parsedUrl.href, events: [...new Set(events)], folders, description, active } };
+}
+
+// What webhookChanges checks, for the route declarations
+const webhookFields = {
+  url: { type: 'string', description: 'http(s) endpoint, not on a private or reserved address', code: 'INVALID_URL', message: 'url must be an http(s) URL' },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: webhooks.EVENTS },
+    description: `Any of ${webhooks.EVENTS.join(', ')} (default all)`,
+    code: 'INVALID_EVENTS',
+    message: `events must be a non-empty list of: ${webhooks.EVENTS.join(', ')}`
+  },
+  folders: { ...folderList, description: 'Only files in these folders, null = all', message: `folders must be null or a list of: ${KNOWN_FOLDERS.join(', ')}` },
+  description: { type: 'string', maxLength: 200, description: 'Optional note', message: 'description must be a string of at most 200 characters' },
+  active: { type: 'boolean', description: 'false pauses deliveries', message: 'active must be true or false' }
+};
+
+const webhookIdParam = {
+  webhookId: { type: 'string', description: 'Webhook ID' }
+};
+
+// Looks up :webhookId, sends the 404 itself
+function findWebhook(req, res) {
+  const record = webhooks.getWebhook(req.params.webhookId);
+  if (!record) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found',
+      service: 'Ladybug CDN',
+      code: 'WEBHOOK_NOT_FOUND'
+    });
+  }
+  return record;
+}
+
+// Subscribe a URL to events, the signing secret is only ever returned in this response
+route({
+  method: 'post',
+  path: '/api/admin/webhooks',
+  category: 'admin',
+  summary: 'Subscribe a URL to events',
+  description: 'Subscribe a URL to events. Deliveries are JSON POSTs signed with "X-Ladybug-Signature: t=<unix>,v1=<HMAC-SHA256 of t.body>", the secret is only returned here',
+  auth: 'admin',
+  body: {
+    type: 'json',
+    fields: {
+      url: { ...webhookFields.url, required: true },
+      events: webhookFields.events,
+      folders: webhookFields.folders,
+      description: webhookFields.description
+    }
+  },
+  responses: {
+    201: {
+      description: 'The webhook with its signing secret, only ever returned here',
+      schema: schemas.envelope({ allOf: [{ type: 'object', properties: { secret: { type: 'string' } } }, schemas.ref('Webhook')] })
+    }
+  }
+}, apiLimiter, requireAdmin, async (req, res) => {
+  const { changes, invalid } = await webhookChanges(req.body || {});
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid[0],
+      service: 'Ladybug CDN',
+      code: invalid[1]
+    });
+  }
+
+  const { secret, record } = webhooks.createWebhook(changes);
+
+  res.status(201).json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: {
+      secret: secret,
+      ...webhooks.toPublic(record)
+    },
+    timestamp: record.createdAt
+  });
+});
+
+// List webhooks
+route({
+  method: 'get',
+  path: '/api/admin/webhooks',
+  category: 'admin',
+  summary: 'List webhooks',
+  auth: 'admin',
+  responses: {
+    200: { description: 'Every webhook', schema: schemas.envelope(schemas.listOf('Webhook')) }
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: webhooks.listWebhooks().map(record => webhooks.toPublic(record)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+route({
+  method: 'get',
+  path: '/api/admin/webhooks/:webhookId',
+  category: 'admin',
+  summary: 'Get a webhook',
+  auth: 'admin',
+  params: webhookIdParam,
+  responses: {
+    200: { description: 'The webhook', schema: schemas.envelope(schemas.ref('Webhook')) },
+    404: 'No such webhook'
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  const record = findWebhook(req, res);
+  if (!record) return;
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: webhooks.toPublic(record),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Change a webhook's url, events, folders, description or active flag
+route({
+  method: 'patch',
+  path: '/api/admin/webhooks/:webhookId',
+  category: 'admin',
+  summary: 'Change a webhook',
+  auth: 'admin',
+  params: webhookIdParam,
+  body: { type: 'json', fields: webhookFields },
+  responses: {
+    200: { description: 'The updated webhook', schema: schemas.envelope(schemas.ref('Webhook')) },
+    404: 'No such webhook'
+  }
+}, apiLimiter, requireAdmin, async (req, res) => {
+  const record = findWebhook(req, res);
+  if (!record) return;
+
+  const { changes, invalid } = await webhookChanges(req.body || {}, record);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid[0],
+      service: 'Ladybug CDN',
+      code: invalid[1]
+    });
+  }
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: webhooks.toPublic(webhooks.updateWebhook(record.id, changes)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Remove a webhook together with its delivery log
+route({
+  method: 'delete',
+  path: '/api/admin/webhooks/:webhookId',
+  category: 'admin',
+  summary: 'Remove a webhook and its delivery log',
+  auth: 'admin',
+  params: webhookIdParam,
+  responses: {
+    200: { description: 'The removed webhook', schema: schemas.envelope(schemas.ref('Webhook')) },
+    404: 'No such webhook'
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  const record = findWebhook(req, res);
+  if (!record) return;
+
+  webhooks.deleteWebhook(record.id);
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: webhooks.toPublic(record),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Delivery log of a webhook, newest first, with every attempt's status code or error
+route({
+  method: 'get',
+  path: '/api/admin/webhooks/:webhookId/deliveries',
+  category: 'admin',
+  summary: 'Delivery log of a webhook',
+  description: `Delivery log with every attempt, failed deliveries are retried with exponential backoff up to ${config.webhookMaxAttempts} times`,
+  auth: 'admin',
+  params: webhookIdParam,
+  responses: {
+    200: { description: 'Deliveries, newest first', schema: schemas.envelope(schemas.listOf('WebhookDelivery')) },
+    404: 'No such webhook'
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  const record = findWebhook(req, res);
+  if (!record) return;
+
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: webhooks.listDeliveries(record.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Send a logged delivery again, as a new delivery with the same event payload
+route({
+  method: 'post',
+  path: '/api/admin/webhooks/:webhookId/deliveries/:deliveryId/replay',
+  category: 'admin',
+  summary: 'Send a logged delivery again',
+  auth: 'admin',
+  params: {
+    ...webhookIdParam,
+    deliveryId: { type: 'string', description: 'Delivery ID from the log' }
+  },
+  responses: {
+    202: { description: 'The new delivery', schema: schemas.envelope(schemas.ref('WebhookDelivery')) },
+    404: 'No such webhook or delivery'
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  const record = findWebhook(req, res);
+  if (!record) return;
+
+  const original = webhooks.getDelivery(req.params.deliveryId);
+  if (!original || original.webhookId !== record.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found',
+      service: 'Ladybug CDN',
+      code: 'DELIVERY_NOT_FOUND'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: webhooks.replayDelivery(original.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Files that vanished from storage are reported like API deletions
+function runIndexSync(baseUrl, { history = true } = {}) {
+  return sync.syncIndex({
+    makeFileId: newFileId,
+    baseUrl: baseUrl,
+    history: history,
+    onRemoved: record => webhooks.emit('file.deleted', record.folder, { file: registry.toPublic(record), source: 'sync' })
+  });
+}
+
+// Rebuild the file index from what the storage drivers hold, runs in the background
+route({
+  method: 'post',
+  path: '/api/admin/sync',
+  category: 'admin',
+  summary: 'Rebuild the file index from the storage repos in the background',
+  auth: 'admin',
+  body: {
+    type: 'json',
+    fields: {
+      history: { type: 'boolean', default: true, description: 'false skips the per-file commit lookup (commitSha, pinnedUrl, upload time), much faster on big repos' }
+    }
+  },
+  responses: {
+    202: { description: 'Sync started', schema: schemas.envelope(schemas.ref('SyncState')) },
+    409: 'A sync is already running'
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  if (sync.getSyncState().running) {
+    return res.status(409).json({
+      success: false,
+      error: 'An index sync is already running',
+      service: 'Ladybug CDN',
+      code: 'SYNC_RUNNING'
+    });
+  }
+
+  runIndexSync(getBaseUrl(req), { history: ![false, 'false'].includes(req.body?.history) }).catch(error => {
+    logger.error('Ladybug CDN - Error syncing file index', error);
+  });
+
+  res.status(202).json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: sync.getSyncState(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Progress and result of the last index sync
+route({
+  method: 'get',
+  path: '/api/admin/sync',
+  category: 'admin',
+  summary: 'Progress and result of the last index sync',
+  auth: 'admin',
+  responses: {
+    200: { description: 'Sync state', schema: schemas.envelope(schemas.ref('SyncState')) }
+  }
+}, apiLimiter, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    service: 'Ladybug CDN',
+    data: sync.getSyncState(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Deletes uploads once their expiresIn has passed
+expiry.startExpiryWorker(parseInt(config.expiryInterval) || 0, {
+  onExpired: record => webhooks.emit('file.expired', record.folder, { file: registry.toPublic(record) })
+});
+
+// Retries webhook deliveries that failed
+webhooks.startWebhookWorker(parseInt(config.webhookRetryInterval) || 0);
+
+// Deletes resumable uploads nobody has touched within RESUMABLE_EXPIRY
+resumable.startCleanupWorker(parseInt(config.resumableCleanupInterval) || 0);
+
+const INDEX_SYNC_INTERVAL = parseInt(config.indexSyncInterval) || 0;
+if (INDEX_SYNC_INTERVAL > 0) {
+  setInterval(() => {
+    if (sync.getSyncState().running) return;
+    runIndexSync(config.publicUrl).catch(error => {
+      logger.error('Ladybug CDN - Error syncing file index', error);
+    });
+  }, INDEX_SYNC_INTERVAL).unref();
+}
+
+// ==================== INFORMATION ENDPOINTS ====================
+
+const SERVICE_DESCRIPTION = 'Comprehensive API service with CDN, YouTube downloads, AI, and utility tools';
+
+// Health check endpoint
+route({
+  method: 'get',
+  path: '/health',
+  category: 'service',
+  summary: 'Health check with uptime and storage usage'
+}, (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'Ladybug CDN',
+    version: '3.0.0',
+    uptime: process.uptime(),
+    storage: repos.getUsage(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Enhanced service info endpoint
+route({
+  method: 'get',
+  path: '/api/info',
+  category: 'service',
+  summary: 'Service overview: endpoints by category and features'
+}, (req, res) => {
+  res.json({
+    service: 'Ladybug CDN',
+    description: SERVICE_DESCRIPTION,
+    version: '3.0.0',
+    categories: routes.info(),
+    features: [
+      'File upload and CDN',
+      'Batch uploads in a single commit',
+      'Concurrent uploads merged into one commit, with retries on conflicts and rate limits',
+      'Async uploads with job polling',
+      'Resumable uploads (tus 1.0)',
+      'Large file uploads split into parts',
+      'Content-addressed deduplication',
+      'Automatic storage repo rotation',
+      'Storage on GitHub, GitLab, local disk or S3-compatible buckets',
+      'File deletion by deleteKey',
+      'Commit-pinned URLs and jsDelivr cache purging',
+      'Private files in a private repo, served through expiring signed URLs with Range support',
+      'AES-256-GCM encrypted uploads with a key only the uploader holds',
+      'YouTube MP3/MP4 downloads',
+      'AI text generation',
+      'AI image analysis',
+      'QR code generation',
+      'URL shortening',
+      'Password generation',
+      'Rate limiting',
+      'API keys with per-key quotas',
+      'Signed webhooks for uploads, deletions and expiry',
+      'CAPTCHA protection',
+      'Prometheus metrics and JSON request logs with request IDs'
+    ],
+    maxFileSize: '100MB',
+    supportedTypes: ['images', 'videos', 'audio', 'documents', 'archives', 'code']
+  });
+});
+
+// API documentation endpoint
+route({
+  method: 'get',
+  path: '/api/docs',
+  category: 'service',
+  summary: 'Every endpoint with its parameters, as JSON'
+}, (req, res) => {
+  res.json({
+    service: 'Ladybug CDN API Documentation',
+    version: '3.0.0',
+    baseUrl: req.protocol + '://' + req.get('host'),
+    storage: `Uploads are stored with the ${config.storageDriver} driver${config.storageRoutes ? ` (routes: ${config.storageRoutes})` : ''}, file records say which one under storage`,
+    openApi: `${getBaseUrl(req)}/api/openapi.json`,
+    categories: routes.docs(),
+    rateLimits: {
+      upload: '15 requests per 5 minutes',
+      api: '30 requests per minute',
+      youtube: '10 requests per 5 minutes',
+      ai: '20 requests per minute'
+    }
+  });
+});
+
+// OpenAPI description generated from the route declarations
+route({
+  method: 'get',
+  path: '/api/openapi.json',
+  category: 'service',
+  summary: 'OpenAPI 3 description of this API'
+}, (req, res) => {
+  res.json(routes.openApi({ baseUrl: getBaseUrl(req), version: '3.0.0', description: SERVICE_DESCRIPTION }));
+});
+
+// Interactive documentation, Swagger UI reading /api/openapi.json
+route({
+  method: 'get',
+  path: '/docs',
+  category: 'service',
+  summary: 'Swagger UI',
+  hidden: true
+}, (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/docs.html'));
+});
+
+// Prometheus metrics, behind "Authorization: Bearer <METRICS_TOKEN>" when that is set
+route({
+  method: 'get',
+  path: '/metrics',
+  category: 'service',
+  summary: 'Prometheus metrics',
+  description: 'Request counts and latency per route and status, bytes uploaded per folder, GitHub API latency and errors, rate limit refusals and Turnstile results',
+  responses: {
+    200: { description: 'Prometheus text format', contentType: 'text/plain', schema: { type: 'string' } },
+    401: 'METRICS_TOKEN is set and wasn\'t sent'
+  }
+}, async (req, res) => {
+  const given = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(config.metricsToken);
+  if (config.metricsToken && (given.length !== expected.length || !crypto.timingSafeEqual(given, expected))) {
+    return res.status(401).json({
+      success: false,
+      error: 'A valid metrics token is required',
+      service: 'Ladybug CDN',
+      code: 'INVALID_METRICS_TOKEN'
+    });
+  }
+
+  try {
+    const { contentType, body } = await metrics.render();
+    res.set('Content-Type', contentType).send(body);
+  } catch (error) {
+    logger.error('Ladybug CDN - Error collecting metrics', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to collect metrics',
+      details: error.message,
+      service: 'Ladybug CDN',
+      code: 'METRICS_ERROR'
+    });
+  }
+});
+
+// Short link redirect
+route({
+  method: 'get',
+  path: '/s/:shortId',
+  category: 'utilities',
+  summary: 'Redirect to the original URL and count the click',
+  params: {
+    shortId: { type: 'string', description: 'Short link ID' }
+  },
+  responses: {
+    302: 'Redirect to the original URL',
+    404: 'No such short link',
+    410: 'The short link has expired'
+  }
+}, (req, res) => {
+  const link = links.getLink(req.params.shortId);
+
+  if (!link) {
+    return res.status(404).json({
+      success: false,
+      error: 'Short link not found',
+      service: 'Ladybug CDN',
+      code: 'LINK_NOT_FOUND'
+    });
+  }
+
+  if (links.isExpired(link)) {
+    return res.status(410).json({
+      success: false,
+      error: 'Short link has expired',
+      service: 'Ladybug CDN',
+      code: 'LINK_EXPIRED'
+    });
+  }
+
+  links.recordClick(link.shortId);
+  res.redirect(302, link.originalUrl);
+});
+
+// Serve the main page
+route({
+  method: 'get',
+  path: '/',
+  category: 'service',
+  summary: 'Home page',
+  hidden: true
+}, (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/index.html'));
+});
+
+// Exit through process.exit so stores flush their pending changes
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => process.exit(0));
+}
+
+const server = app.listen(config.port || 3000, () => {
+  logger.info('🐞 Ladybug CDN Server is running', {
+    port: Number(config.port || 3000),
+    version: '3.0.0',
+    features: ['CDN', 'YouTube Downloads', 'AI Services', 'Utilities'],
+    docs: `http://localhost:${config.port || 3000}/docs`,
+    metrics: `http://localhost:${config.port || 3000}/metrics`
+  });
+});
+
+// Tests start the app on PORT=0 and close the server when done
+module.exports = { app, server };
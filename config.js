@@ -4,13 +4,72 @@ module.exports = {
   port: process.env.PORT || '5000',
   repoBranch: process.env.REPO_BRANCH || 'main', // Replace or not
   githubRepo: process.env.GITHUB_REPO || 'ghbcdn', // Your storage repo name
+  githubRepos: process.env.GITHUB_REPOS || '', // Comma separated storage repo pool, defaults to githubRepo alone
+  repoSizeLimit: process.env.REPO_SIZE_LIMIT || '943718400', // Bytes, switch to the next repo past this (900MB)
+  repoSizeCheck: process.env.REPO_SIZE_CHECK || 'true', // Also ask GitHub for the repo size (hourly)
+  autoCreateRepos: process.env.AUTO_CREATE_REPOS || 'false', // Create githubRepo-N when every repo in the pool is full
   commitMessage: process.env.COMMIT_MESSAGE || 'Github Cdn:Upload', // Your commit Message
   githubUser: process.env.GITHUB_USERNAME || 'mauricegift', // Yout github username
   githubApiUrl: process.env.GITHUB_API_URL || 'https://api.github.com', // Maintain this
   cdnApiUrl: process.env.CDN_API_URL || 'https://cdn.jsdelivr.net/gh', // Maintain this
+  cdnPurgeUrl: process.env.CDN_PURGE_URL || 'https://purge.jsdelivr.net/gh', // jsDelivr purge API, maintain this (or point it at a stub in tests)
   cfTurnstileApiUrl: process.env.CF_TURNSTILE_API_URL || "https://challenges.cloudflare.com", // Mintain this
   cfSecretKey: process.env.CF_TURNSTILE_SECRET_KEY || '', // Use yours
   githubToken: process.env.GITHUB_TOKEN || '', // Your Github Token Here
+  publicUrl: process.env.PUBLIC_URL || '', // Public base URL of this server, defaults to the request host
+  storageDriver: process.env.STORAGE_DRIVER || 'github', // Where uploads are stored: github, gitlab, local or s3
+  storageRoutes: process.env.STORAGE_ROUTES || '', // Per upload overrides, first match wins, e.g. "videos=s3,size>52428800=s3"
+  gitlabUrl: process.env.GITLAB_URL || 'https://gitlab.com', // GitLab instance for the gitlab driver
+  gitlabToken: process.env.GITLAB_TOKEN || '', // GitLab token with api scope
+  gitlabProject: process.env.GITLAB_PROJECT || '', // Storage project path, e.g. "mauricegift/ghbcdn" (must be public)
+  gitlabBranch: process.env.GITLAB_BRANCH || 'main', // Branch the gitlab driver commits to
+  localStorageDir: process.env.LOCAL_STORAGE_DIR || './storage', // Folder for the local driver, served at /storage (keep it out of git)
+  s3Endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com', // Any S3-compatible endpoint (MinIO, R2...)
+  s3Region: process.env.S3_REGION || 'us-east-1', // Region used to sign requests, "auto" for R2
+  s3Bucket: process.env.S3_BUCKET || '', // Bucket for the s3 driver
+  s3AccessKeyId: process.env.S3_ACCESS_KEY_ID || '', // Use yours
+  s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '', // Use yours
+  s3PublicUrl: process.env.S3_PUBLIC_URL || '', // Public base URL of the bucket (CDN or custom domain), defaults to <endpoint>/<bucket>
+  largeFileThreshold: process.env.LARGE_FILE_THRESHOLD || '10485760', // Bytes, bigger uploads use the git blobs/trees API
+  maxBlobSize: process.env.MAX_BLOB_SIZE || '41943040', // Bytes, bigger uploads are split into parts with a manifest
+  batchMaxFiles: process.env.BATCH_MAX_FILES || '20', // Max files per batch upload request
+  commitBatchWindow: process.env.COMMIT_BATCH_WINDOW || '250', // Milliseconds uploads wait to be merged into one commit, 0 = commit right away
+  commitBatchMaxFiles: process.env.COMMIT_BATCH_MAX_FILES || '100', // Max files merged into one commit
+  commitMaxAttempts: process.env.COMMIT_MAX_ATTEMPTS || '5', // Tries per commit on conflicts (409/422) and rate limits (403/429)
+  commitMaxRetryDelay: process.env.COMMIT_MAX_RETRY_DELAY || '60000', // Milliseconds, a longer Retry-After fails the upload instead of waiting
+  jobTtl: process.env.JOB_TTL || '3600000', // Milliseconds async upload jobs are kept after they finish
+  privateRepo: process.env.GITHUB_PRIVATE_REPO || '', // Private repo for visibility=private uploads, private uploads are off while empty
+  signedUrlSecret: process.env.SIGNED_URL_SECRET || '', // Secret that signs /f/:fileId URLs, private uploads are off while empty
+  signedUrlTtl: process.env.SIGNED_URL_TTL || '3600', // Seconds a signed URL stays valid unless another lifetime is asked for
+  maxSignedUrlTtl: process.env.MAX_SIGNED_URL_TTL || '604800', // Longest lifetime a signed URL can be minted with, in seconds (7 days)
+  resumableDir: process.env.RESUMABLE_DIR || '', // Staging folder for resumable uploads, defaults to <DATA_DIR>/uploads
+  resumableExpiry: process.env.RESUMABLE_EXPIRY || '86400000', // Milliseconds a resumable upload survives without a new chunk (24h)
+  resumableCleanupInterval: process.env.RESUMABLE_CLEANUP_INTERVAL || '600000', // Milliseconds between cleanups of abandoned resumable uploads, 0 = off
+  aiProvider: process.env.AI_PROVIDER || 'mock', // mock or openai (any OpenAI-compatible server)
+  aiBaseUrl: process.env.AI_BASE_URL || 'http://localhost:11434/v1', // Ollama by default, https://api.openai.com/v1 for OpenAI
+  aiApiKey: process.env.AI_API_KEY || '', // Leave empty for local servers
+  aiTextModel: process.env.AI_TEXT_MODEL || 'llama3.2', // Model for /ai/text
+  aiVisionModel: process.env.AI_VISION_MODEL || 'llava', // Model for /ai/image-analysis
+  aiTimeout: process.env.AI_TIMEOUT || '60000', // Milliseconds
+  thumbnailSizes: process.env.THUMBNAIL_SIZES || '150,300,600', // Widths for the thumbnails option on /api/ladybug/upload
+  remoteFetchTimeout: process.env.REMOTE_FETCH_TIMEOUT || '30000', // Milliseconds allowed for /api/ladybug/upload-url to download a file
+  remoteMaxRedirects: process.env.REMOTE_MAX_REDIRECTS || '3', // Redirects followed by /api/ladybug/upload-url
+  ffmpegPath: process.env.FFMPEG_PATH || '', // ffmpeg binary, leave empty to use the one on PATH
+  adminToken: process.env.ADMIN_TOKEN || '', // Secret for /api/admin routes, admin API is off while empty
+  requireApiKeys: process.env.REQUIRE_API_KEYS || 'false', // Require an API key on /api/ladybug/upload and batch-upload, needs ADMIN_TOKEN to mint keys
+  apiKeyDailyUploadBytes: process.env.API_KEY_DAILY_UPLOAD_BYTES || '524288000', // Default daily quota for new keys (500MB)
+  maxExpiresIn: process.env.MAX_EXPIRES_IN || '2592000', // Longest expiresIn accepted on uploads, in seconds (30 days)
+  expiryInterval: process.env.EXPIRY_INTERVAL || '60000', // Milliseconds between expired file cleanups, 0 = off
+  indexSyncInterval: process.env.INDEX_SYNC_INTERVAL || '0', // Milliseconds between automatic index rebuilds from the repo tree, 0 = only via POST /api/admin/sync
+  webhookRetryInterval: process.env.WEBHOOK_RETRY_INTERVAL || '5000', // Milliseconds between checks for webhook deliveries to retry, 0 = off
+  webhookRetryDelay: process.env.WEBHOOK_RETRY_DELAY || '10000', // Milliseconds before the first retry, doubled after every failed attempt
+  webhookMaxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS || '6', // Attempts per delivery before it is marked failed
+  webhookTimeout: process.env.WEBHOOK_TIMEOUT || '10000', // Milliseconds a webhook endpoint gets to answer
+  webhookDeliveryLogSize: process.env.WEBHOOK_DELIVERY_LOG_SIZE || '500', // Deliveries kept in the log across all webhooks
+  logLevel: process.env.LOG_LEVEL || 'info', // debug, info, warn or error, logs are JSON lines
+  metricsToken: process.env.METRICS_TOKEN || '', // Bearer token /metrics asks for, open to anyone while empty
+  dataDir: process.env.DATA_DIR || './data', // Local folder for the file registry (keep it out of git)
+  allowedDangerousMimetypes: process.env.ALLOWED_DANGEROUS_MIMETYPES || '[]', // Executables/installers to accept anyway, e.g. "['application/x-msdownload']"
   imageMimetypes: process.env.IMAGE_MIMETYPES || "['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml', 'image/avif', 'image/heif', 'image/heic', 'image/x-icon', 'image/tiff']",
   audioMimetypes: process.env.AUDIO_MIMETYPES || "['audio/mp3', 'audio/mp4', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/x-midi', 'audio/midi', 'audio/x-ms-wma', 'audio/x-m4a', 'audio/flac', 'audio/aac', 'audio/webm', 'audio/wave']",
   videoMimetypes: process.env.VIDEO_MIMETYPES || "['video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo', 'video/avi', 'video/mpeg', 'video/x-ms-wmv', 'video/3gpp2', 'video/3gpp', 'video/x-matroska', 'video/ogg']",
@@ -0,0 +1,19 @@
+const config = require('../../config');
+
+// Every provider implements generateText, streamText (async iterator of
+// { type: 'delta', text } then { type: 'done', model, usage }, stopped by an optional
+// AbortSignal `signal`) and analyzeImage.
+const providers = {
+  mock: require('./mock'),
+  openai: require('./openai')
+};
+
+function getProvider(name = config.aiProvider || 'mock') {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${name}", expected one of ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { providers, getProvider };
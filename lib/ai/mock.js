@@ -0,0 +1,68 @@
+// Canned responses, no model involved. Used for tests and as the default until a real
+// provider is configured. Token usage is a rough whitespace count.
+
+const TEXT_RESPONSES = [
+  "This is a sample AI-generated response based on your prompt.",
+  "Here's an AI-generated text that responds to your input creatively.",
+  "The AI has processed your request and generated this thoughtful response.",
+  "Based on your prompt, here's what the AI model suggests.",
+  "This is an intelligent response generated by Ladybug CDN's AI service."
+];
+
+const IMAGE_RESPONSES = [
+  "This image contains a beautiful landscape with mountains and trees.",
+  "The image shows a person smiling in what appears to be an outdoor setting.",
+  "This appears to be a close-up photo of an object with interesting textures.",
+  "The image contains multiple elements including buildings and sky.",
+  "This is a colorful image with various shapes and patterns."
+];
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function countTokens(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function usageFor(prompt, text) {
+  const promptTokens = countTokens(prompt);
+  const completionTokens = countTokens(text);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+function mockText(prompt, maxTokens) {
+  return `${pick(TEXT_RESPONSES)} Your prompt was: "${prompt}"`
+    .split(' ')
+    .slice(0, maxTokens)
+    .join(' ');
+}
+
+module.exports = {
+  name: 'mock',
+
+  async generateText({ prompt, maxTokens }) {
+    const text = mockText(prompt, maxTokens);
+    return { text, model: 'ladybug-ai-v1', usage: usageFor(prompt, text) };
+  },
+
+  async *streamText({ prompt, maxTokens, signal }) {
+    const text = mockText(prompt, maxTokens);
+    for (const [index, word] of text.split(' ').entries()) {
+      if (signal?.aborted) return;
+      yield { type: 'delta', text: index === 0 ? word : ` ${word}` };
+    }
+    yield { type: 'done', model: 'ladybug-ai-v1', usage: usageFor(prompt, text) };
+  },
+
+  async analyzeImage({ prompt }) {
+    const text = pick(IMAGE_RESPONSES);
+    return {
+      text: text,
+      model: 'ladybug-vision-v1',
+      usage: usageFor(prompt, text),
+      confidence: Math.random() * 0.3 + 0.7, // Random confidence between 0.7-1.0
+      tags: ['object', 'scene', 'color', 'composition']
+    };
+  }
+};
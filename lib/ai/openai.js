@@ -0,0 +1,113 @@
+const axios = require('axios');
+const config = require('../../config');
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, Ollama,
+// llama.cpp's server, vLLM, LM Studio...
+
+function headers() {
+  const result = { 'Content-Type': 'application/json' };
+  if (config.aiApiKey) {
+    result['Authorization'] = `Bearer ${config.aiApiKey}`;
+  }
+  return result;
+}
+
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens
+  };
+}
+
+async function chat(body, options = {}) {
+  return axios.post(`${config.aiBaseUrl}/chat/completions`, body, {
+    headers: headers(),
+    timeout: parseInt(config.aiTimeout) || 60000,
+    ...options
+  });
+}
+
+// Splits an SSE response into the JSON payloads of its `data:` lines
+async function *readEvents(stream) {
+  let buffered = '';
+  for await (const chunk of stream) {
+    buffered += chunk.toString('utf8');
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+module.exports = {
+  name: 'openai',
+
+  async generateText({ prompt, maxTokens, temperature }) {
+    const { data } = await chat({
+      model: config.aiTextModel,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature: temperature
+    });
+
+    return {
+      text: data.choices[0]?.message?.content || '',
+      model: data.model || config.aiTextModel,
+      usage: toUsage(data.usage)
+    };
+  },
+
+  async *streamText({ prompt, maxTokens, temperature, signal }) {
+    const response = await chat({
+      model: config.aiTextModel,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature: temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { responseType: 'stream', signal });
+
+    let model = config.aiTextModel;
+    let usage = null;
+
+    for await (const event of readEvents(response.data)) {
+      model = event.model || model;
+      if (event.usage) usage = toUsage(event.usage);
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        yield { type: 'delta', text: delta };
+      }
+    }
+
+    yield { type: 'done', model, usage };
+  },
+
+  async analyzeImage({ buffer, mimeType, prompt, maxTokens, temperature }) {
+    const { data } = await chat({
+      model: config.aiVisionModel,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } }
+        ]
+      }],
+      max_tokens: maxTokens,
+      temperature: temperature
+    });
+
+    return {
+      text: data.choices[0]?.message?.content || '',
+      model: data.model || config.aiVisionModel,
+      usage: toUsage(data.usage)
+    };
+  }
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+// API keys for the no-CAPTCHA upload routes. Only a SHA-256 of each key is stored,
+// the key itself is shown once when it is issued.
+const keys = createStore('apikeys');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function createKey({ name, rateLimit, dailyUploadBytes, allowedFolders }) {
+  const key = `lbk_${crypto.randomBytes(24).toString('hex')}`;
+  const id = crypto.randomBytes(8).toString('hex');
+
+  const record = keys.set(id, {
+    id: id,
+    name: name,
+    prefix: key.slice(0, 10),
+    keyHash: hashKey(key),
+    rateLimit: rateLimit,
+    dailyUploadBytes: dailyUploadBytes,
+    allowedFolders: allowedFolders,
+    usage: { date: today(), bytes: 0, uploads: 0 },
+    totalBytes: 0,
+    totalUploads: 0,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  });
+
+  return { key, record };
+}
+
+// Active (not revoked) key matching the presented secret
+function findByKey(key) {
+  const keyHash = hashKey(key);
+  return keys.find(record => !record.revokedAt &&
+    crypto.timingSafeEqual(Buffer.from(record.keyHash, 'hex'), Buffer.from(keyHash, 'hex')));
+}
+
+function getKey(id) {
+  return keys.get(id);
+}
+
+function listKeys() {
+  return keys.all();
+}
+
+function revokeKey(id) {
+  const record = keys.get(id);
+  if (!record) return null;
+  return keys.set(id, { ...record, revokedAt: record.revokedAt || new Date().toISOString() });
+}
+
+// Today's usage, counters start over every UTC day
+function getUsage(record) {
+  return record.usage.date === today() ? record.usage : { date: today(), bytes: 0, uploads: 0 };
+}
+
+function recordUsage(id, bytes) {
+  const record = keys.get(id);
+  if (!record) return null;
+  const usage = getUsage(record);
+  return keys.set(id, {
+    ...record,
+    usage: { date: usage.date, bytes: usage.bytes + bytes, uploads: usage.uploads + 1 },
+    totalBytes: record.totalBytes + bytes,
+    totalUploads: record.totalUploads + 1,
+    lastUsedAt: new Date().toISOString()
+  });
+}
+
+// Strips the key hash before a record goes out in an API response
+function toPublic(record) {
+  const { keyHash, ...rest } = record;
+  return { ...rest, usage: getUsage(record) };
+}
+
+module.exports = {
+  createKey,
+  findByKey,
+  getKey,
+  listKeys,
+  revokeKey,
+  getUsage,
+  recordUsage,
+  toPublic
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// At-rest encryption for uploads to public storage. Files are sealed with AES-256-GCM under a
+// random key handed to the uploader once, or a key derived from their passphrase with scrypt.
+// Neither is ever stored, what lands in storage is
+//   "LBE1" | kdf (0 = random key, 1 = scrypt) | salt (16) | iv (12) | tag (16) | key check (16) | ciphertext
+// The key check is an HMAC of a constant under the key, so a wrong key is refused before a
+// single byte is decrypted.
+
+const scrypt = promisify(crypto.scrypt);
+
+const MAGIC = Buffer.from('LBE1');
+const ALGORITHM = 'aes-256-gcm';
+const KDF_NONE = 0;
+const KDF_SCRYPT = 1;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const HEADER_SIZE = MAGIC.length + 1 + 16 + 12 + 16 + 16;
+
+function keyCheck(key) {
+  return crypto.createHmac('sha256', key).update('Ladybug CDN key check').digest().subarray(0, 16);
+}
+
+function deriveFromPassphrase(passphrase, salt) {
+  return scrypt(passphrase, salt, 32, SCRYPT_OPTIONS);
+}
+
+// Resolves with { buffer, key, kdf }. key is the base64url random key, null when the key came
+// from the passphrase
+async function encrypt(plaintext, { passphrase = null } = {}) {
+  const salt = passphrase ? crypto.randomBytes(16) : Buffer.alloc(16);
+  const key = passphrase ? await deriveFromPassphrase(passphrase, salt) : crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const header = Buffer.concat([MAGIC, Buffer.from([passphrase ? KDF_SCRYPT : KDF_NONE]), salt, iv, cipher.getAuthTag(), keyCheck(key)]);
+
+  return {
+    buffer: Buffer.concat([header, ciphertext]),
+    key: passphrase ? null : key.toString('base64url'),
+    kdf: passphrase ? 'scrypt' : null
+  };
+}
+
+// Null when the bytes don't start with a header this version wrote
+function parseHeader(buffer) {
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+  let offset = MAGIC.length;
+  const take = length => buffer.subarray(offset, offset += length);
+  const kdf = take(1)[0];
+  if (![KDF_NONE, KDF_SCRYPT].includes(kdf)) return null;
+  return { kdf, salt: take(16), iv: take(12), tag: take(16), check: take(16) };
+}
+
+// Resolves with the file's key, or null when what the caller sent doesn't open it.
+// credentials: { key (base64url), passphrase }, the one matching the file's kdf is used
+async function unlock(header, { key = null, passphrase = null }) {
+  let candidate = null;
+  if (header.kdf === KDF_SCRYPT && passphrase) {
+    candidate = await deriveFromPassphrase(passphrase, header.salt);
+  } else if (header.kdf === KDF_NONE && key) {
+    candidate = Buffer.from(key, 'base64url');
+  }
+  if (!candidate || candidate.length !== 32) return null;
+  return crypto.timingSafeEqual(keyCheck(candidate), header.check) ? candidate : null;
+}
+
+// Authentication only happens in final(), which throws if the ciphertext was tampered with
+function createDecipher(header, key) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, header.iv);
+  decipher.setAuthTag(header.tag);
+  return decipher;
+}
+
+function plaintextSize(storedSize) {
+  return storedSize - HEADER_SIZE;
+}
+
+module.exports = {
+  ALGORITHM,
+  HEADER_SIZE,
+  encrypt,
+  parseHeader,
+  unlock,
+  createDecipher,
+  plaintextSize
+};
@@ -0,0 +1,81 @@
+const registry = require('./registry');
+const storage = require('./storage');
+const writeQueue = require('./writequeue');
+const logger = require('./logger');
+
+// Background cleanup of uploads made with expiresIn. Each pass removes every expired file
+// of a storage location in one driver call (one commit on the git drivers, the contents API
+// would make one commit per file), then drops the registry records.
+
+let running = false;
+let timer = null;
+
+function isExpired(record, now = Date.now()) {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
+}
+
+// One cleanup pass. Resolves with { deleted: [fileId], failed: [{ storage, repo, fileIds, error }] }
+async function runExpiry({ now = Date.now(), onExpired = () => {} } = {}) {
+  if (running) return { deleted: [], failed: [], skipped: true };
+  running = true;
+
+  const result = { deleted: [], failed: [] };
+  try {
+    const groups = new Map();
+    for (const record of registry.listFiles().filter(item => isExpired(item, now))) {
+      const driver = storage.driverForRecord(record);
+      const key = `${driver.name}:${record.repo ?? ''}`;
+      const group = groups.get(key) || { driver: driver, repo: record.repo ?? null, records: [] };
+      group.records.push(record);
+      groups.set(key, group);
+    }
+
+    for (const { driver, repo, records } of groups.values()) {
+      try {
+        await writeQueue.remove(driver, records.flatMap(record => registry.recordObjects(record)), {
+          message: `Expired via Ladybug CDN - ${records.length} file(s)`,
+          location: repo
+        });
+      } catch (error) {
+        logger.error(`Ladybug CDN - Error deleting expired files from ${driver.name} ${repo || ''}`, error.message);
+        result.failed.push({ storage: driver.name, repo: repo, fileIds: records.map(record => record.fileId), error: error.message });
+        continue;
+      }
+
+      if (driver.purge) {
+        driver.purge(records.flatMap(record => registry.recordPaths(record)), repo);
+      }
+
+      for (const record of records) {
+        registry.removeFile(record.fileId);
+        result.deleted.push(record.fileId);
+        onExpired(record);
+      }
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+function startExpiryWorker(interval, options) {
+  if (timer || !(interval > 0)) return;
+  timer = setInterval(() => {
+    runExpiry(options).catch(error => {
+      logger.error('Ladybug CDN - Error running expiry worker', error);
+    });
+  }, interval);
+  timer.unref();
+}
+
+function stopExpiryWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  isExpired,
+  runExpiry,
+  startExpiryWorker,
+  stopExpiryWorker
+};
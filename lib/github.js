@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Every helper takes the storage repo name last, defaulting to config.githubRepo
+
+// Every GitHub call goes through this client: it carries the request ID of the request it
+// runs for (X-Request-Id, handy when lining our logs up with GitHub's) and is timed into
+// the GitHub latency and error metrics
+const client = axios.create();
+
+client.interceptors.request.use(request => {
+  request.startedAt = process.hrtime.bigint();
+  const requestId = logger.requestId();
+  if (requestId) {
+    request.headers['X-Request-Id'] = requestId;
+  }
+  return request;
+});
+
+function observe(request, status) {
+  if (!request?.startedAt) return;
+  const seconds = Number(process.hrtime.bigint() - request.startedAt) / 1e9;
+  metrics.observeGithubCall(request.method, status, seconds);
+  logger.debug('GitHub API call', { method: request.method.toUpperCase(), url: request.url, status: status, durationMs: Math.round(seconds * 1000) });
+}
+
+client.interceptors.response.use(response => {
+  observe(response.config, response.status);
+  return response;
+}, error => {
+  observe(error.config, error.response ? error.response.status : null);
+  return Promise.reject(error);
+});
+
+function githubHeaders() {
+  return {
+    'Authorization': `token ${config.githubToken}`,
+    'Content-Type': 'application/json',
+    'User-Agent': 'Ladybug-CDN-Upload-Service'
+  };
+}
+
+function repoUrl(repo = config.githubRepo) {
+  return `${config.githubApiUrl}/repos/${config.githubUser}/${repo}`;
+}
+
+function contentsUrl(filePath, repo) {
+  return `${repoUrl(repo)}/contents/${filePath}`;
+}
+
+// Creates a file through the contents API, resolves with GitHub's { content, commit } payload
+async function putFile(filePath, content, message, repo) {
+  const data = {
+    message: message,
+    content: content,
+    branch: config.repoBranch || 'main'
+  };
+
+  const response = await client.put(contentsUrl(filePath, repo), data, { headers: githubHeaders() });
+  clearTreeCache(repo);
+  return response.data;
+}
+
+// Deletes a file through the contents API, GitHub requires the current blob SHA
+async function deleteFile(filePath, sha, message, repo) {
+  const data = {
+    message: message,
+    sha: sha,
+    branch: config.repoBranch || 'main'
+  };
+
+  const response = await client.delete(contentsUrl(filePath, repo), { headers: githubHeaders(), data });
+  clearTreeCache(repo);
+  return response.data;
+}
+
+// ==================== REPOSITORIES ====================
+
+// Repo metadata, GitHub reports `size` in kilobytes
+async function getRepo(repo) {
+  const { data } = await client.get(repoUrl(repo), { headers: githubHeaders() });
+  return data;
+}
+
+// Creates a new public storage repo for the authenticated user, auto_init gives it a first commit
+async function createRepo(repo) {
+  const { data } = await client.post(`${config.githubApiUrl}/user/repos`, {
+    name: repo,
+    description: 'Ladybug CDN storage',
+    private: false,
+    auto_init: true
+  }, { headers: githubHeaders() });
+  return data;
+}
+
+// ==================== GIT DATA API ====================
+
+async function getBranchHead(repo) {
+  const branch = config.repoBranch || 'main';
+  const { data: ref } = await client.get(`${repoUrl(repo)}/git/ref/heads/${branch}`, { headers: githubHeaders() });
+  const { data: commit } = await client.get(`${repoUrl(repo)}/git/commits/${ref.object.sha}`, { headers: githubHeaders() });
+  return { commitSha: commit.sha, treeSha: commit.tree.sha };
+}
+
+async function createBlob(content, repo) {
+  const { data } = await client.post(`${repoUrl(repo)}/git/blobs`, { content, encoding: 'base64' }, { headers: githubHeaders() });
+  return data.sha;
+}
+
+// Streams a blob's raw bytes, works for private repos too since it goes through the API
+async function getBlobStream(sha, repo) {
+  const response = await client.get(`${repoUrl(repo)}/git/blobs/${sha}`, {
+    headers: { ...githubHeaders(), 'Accept': 'application/vnd.github.raw+json' },
+    responseType: 'stream'
+  });
+  return response.data;
+}
+
+async function createTree(baseTree, entries, repo) {
+  const { data } = await client.post(`${repoUrl(repo)}/git/trees`, { base_tree: baseTree, tree: entries }, { headers: githubHeaders() });
+  return data.sha;
+}
+
+async function createCommit(message, treeSha, parentSha, repo) {
+  const { data } = await client.post(`${repoUrl(repo)}/git/commits`, {
+    message: message,
+    tree: treeSha,
+    parents: [parentSha]
+  }, { headers: githubHeaders() });
+  return data.sha;
+}
+
+async function updateRef(commitSha, repo) {
+  const branch = config.repoBranch || 'main';
+  await client.patch(`${repoUrl(repo)}/git/refs/heads/${branch}`, { sha: commitSha }, { headers: githubHeaders() });
+}
+
+// Recursive listing of the branch, cached per repo for a few minutes since it can be large.
+// Every write and delete below clears it, so dedupe never matches a deleted blob
+const treeCache = new Map();
+const TREE_CACHE_TTL = 5 * 60 * 1000;
+
+async function getTree(repo = config.githubRepo) {
+  const cached = treeCache.get(repo);
+  if (cached && Date.now() - cached.fetchedAt < TREE_CACHE_TTL) {
+    return cached.entries;
+  }
+
+  const entries = await readTree(config.repoBranch || 'main', '', repo);
+  treeCache.set(repo, { fetchedAt: Date.now(), entries });
+  return entries;
+}
+
+// Blobs under a tree (a branch name or tree SHA), paths prefixed with where it sits. A recursive
+// listing stops at GitHub's size limit with truncated set, the rest is then read one subtree
+// at a time; only a single directory too big to list fails
+async function readTree(treeish, prefix, repo) {
+  const withPrefix = entry => (prefix ? { ...entry, path: `${prefix}/${entry.path}` } : entry);
+
+  const { data } = await client.get(`${repoUrl(repo)}/git/trees/${treeish}?recursive=1`, { headers: githubHeaders() });
+  if (!data.truncated) {
+    return data.tree.filter(entry => entry.type === 'blob').map(withPrefix);
+  }
+
+  const { data: level } = await client.get(`${repoUrl(repo)}/git/trees/${treeish}`, { headers: githubHeaders() });
+  if (level.truncated) {
+    throw new Error(`Tree ${prefix || treeish} of ${repo} has too many entries to list`);
+  }
+
+  const entries = [];
+  for (const entry of level.tree.map(withPrefix)) {
+    if (entry.type === 'blob') entries.push(entry);
+    if (entry.type === 'tree') entries.push(...await readTree(entry.sha, entry.path, repo));
+  }
+  return entries;
+}
+
+function clearTreeCache(repo = config.githubRepo) {
+  treeCache.delete(repo);
+}
+
+// Latest commit touching a path, { sha, date } or null when there is none
+async function getFileCommit(filePath, repo = config.githubRepo) {
+  const { data } = await client.get(`${repoUrl(repo)}/commits`, {
+    params: { path: filePath, sha: config.repoBranch || 'main', per_page: 1 },
+    headers: githubHeaders()
+  });
+  if (!data.length) return null;
+  return { sha: data[0].sha, date: data[0].commit.committer.date };
+}
+
+// Git blob SHA of a buffer, lets us spot content that is already in the repo
+function gitBlobSha(buffer) {
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+async function findBlobPath(blobSha, repo) {
+  const entries = await getTree(repo);
+  const entry = entries.find(item => item.sha === blobSha);
+  return entry ? entry.path : null;
+}
+
+// Commits many files at once: one blob per file, one tree, one commit, one ref update.
+// files: [{ path, content }] with base64 content, a null content deletes the path.
+// Resolves with the commit SHA and blob SHA per written path.
+async function commitFiles(files, message, repo) {
+  const head = await getBranchHead(repo);
+  const blobs = {};
+
+  for (const file of files) {
+    blobs[file.path] = file.content === null ? null : await createBlob(file.content, repo);
+  }
+
+  const treeSha = await createTree(head.treeSha, files.map(file => ({
+    path: file.path,
+    mode: '100644',
+    type: 'blob',
+    sha: blobs[file.path]
+  })), repo);
+  const commitSha = await createCommit(message, treeSha, head.commitSha, repo);
+  await updateRef(commitSha, repo);
+  clearTreeCache(repo);
+
+  return { commitSha, blobs };
+}
+
+module.exports = {
+  githubHeaders,
+  putFile,
+  deleteFile,
+  getRepo,
+  createRepo,
+  getBlobStream,
+  getTree,
+  clearTreeCache,
+  getFileCommit,
+  gitBlobSha,
+  findBlobPath,
+  commitFiles
+};
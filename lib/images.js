@@ -0,0 +1,85 @@
+const sharp = require('sharp');
+const config = require('../config');
+
+// Raster types sharp can read and write, SVG and HEIC are committed as they are
+const PROCESSABLE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/gif': 'gif',
+  'image/tiff': 'tiff'
+};
+
+const OUTPUT_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', ext: 'jpg' },
+  png: { mimeType: 'image/png', ext: 'png' },
+  webp: { mimeType: 'image/webp', ext: 'webp' },
+  avif: { mimeType: 'image/avif', ext: 'avif' },
+  gif: { mimeType: 'image/gif', ext: 'gif' },
+  tiff: { mimeType: 'image/tiff', ext: 'tiff' }
+};
+
+const CONVERT_FORMATS = ['webp', 'avif'];
+
+function thumbnailSizes() {
+  return String(config.thumbnailSizes || '')
+    .split(',')
+    .map(size => parseInt(size.trim()))
+    .filter(size => size > 0);
+}
+
+function canProcess(mimeType) {
+  return Boolean(PROCESSABLE_TYPES[mimeType]);
+}
+
+// sharp drops metadata on output unless asked to keep it; rotate() first so the EXIF
+// orientation is applied to the pixels before it goes
+function pipeline(buffer) {
+  return sharp(buffer, { animated: true }).rotate();
+}
+
+async function encode(image, format) {
+  const data = await image.toFormat(format).toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data.data,
+    width: data.info.width,
+    height: data.info.height,
+    size: data.data.length,
+    ...OUTPUT_FORMATS[format]
+  };
+}
+
+// Returns { original, variants }. original is the re-encoded image when stripExif is set
+// (null otherwise), variants is a list of { name, buffer, mimeType, ext, width, height, size }.
+// Thumbnails use the convert format when there is one, otherwise the source format.
+async function processImage(buffer, mimeType, { stripExif = false, thumbnails = false, convert = null }) {
+  const sourceFormat = PROCESSABLE_TYPES[mimeType];
+  const result = { original: null, variants: [] };
+
+  if (stripExif) {
+    result.original = await encode(pipeline(buffer), sourceFormat);
+  }
+
+  if (convert) {
+    result.variants.push({ name: convert, ...await encode(pipeline(buffer), convert) });
+  }
+
+  if (thumbnails) {
+    const format = convert || sourceFormat;
+    for (const width of thumbnailSizes()) {
+      const image = pipeline(buffer).resize({ width: width, withoutEnlargement: true });
+      result.variants.push({ name: `thumb${width}`, ...await encode(image, format) });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  CONVERT_FORMATS,
+  canProcess,
+  thumbnailSizes,
+  processImage
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+// Uploads accepted with 202 run here in the background. Jobs live in memory only, a
+// restart loses the unfinished ones, and are dropped JOB_TTL after they finish.
+
+const JOB_TTL = parseInt(config.jobTtl) || 60 * 60 * 1000;
+
+const jobs = new Map();
+
+function prune(now = Date.now()) {
+  for (const [jobId, job] of jobs) {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL) {
+      jobs.delete(jobId);
+    }
+  }
+}
+
+// run resolves with { status, body }, what the request would have answered without async.
+// The job ID is the only thing standing between a poller and the upload's deleteKey, so
+// it is long and random.
+function createJob({ type, apiKeyId = null }, run) {
+  prune();
+
+  const job = {
+    jobId: crypto.randomBytes(16).toString('hex'),
+    type: type,
+    status: 'queued',
+    apiKeyId: apiKeyId,
+    httpStatus: null,
+    result: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  jobs.set(job.jobId, job);
+
+  setImmediate(async () => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      const { status, body } = await run();
+      Object.assign(job, { status: body.success ? 'succeeded' : 'failed', httpStatus: status, result: body });
+    } catch (error) {
+      logger.error(`Ladybug CDN - Error running ${type} job`, error);
+      Object.assign(job, {
+        status: 'failed',
+        httpStatus: 500,
+        result: { success: false, error: error.message, service: 'Ladybug CDN', code: 'UPLOAD_FAILED' }
+      });
+    }
+    job.finishedAt = new Date().toISOString();
+  });
+
+  return job;
+}
+
+function getJob(jobId) {
+  prune();
+  return jobs.get(jobId) || null;
+}
+
+function toPublic(job) {
+  const { apiKeyId, ...rest } = job;
+  return rest;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  toPublic
+};
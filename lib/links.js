@@ -0,0 +1,55 @@
+const { createStore } = require('./store');
+
+// Short links created through /api/ladybug/shorten-url
+const links = createStore('links');
+
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+// Paths under /s/ that must never be handed out as aliases
+const RESERVED_ALIASES = ['api', 'admin', 'stats', 'health'];
+
+function isValidAlias(alias) {
+  return ALIAS_PATTERN.test(alias) && !RESERVED_ALIASES.includes(alias.toLowerCase());
+}
+
+function hasLink(shortId) {
+  return links.has(shortId);
+}
+
+function getLink(shortId) {
+  return links.get(shortId);
+}
+
+function createLink({ shortId, originalUrl, expiresAt, creatorIp }) {
+  return links.set(shortId, {
+    shortId: shortId,
+    originalUrl: originalUrl,
+    clicks: 0,
+    createdAt: new Date().toISOString(),
+    lastClickedAt: null,
+    expiresAt: expiresAt,
+    creatorIp: creatorIp
+  });
+}
+
+function isExpired(link) {
+  return Boolean(link.expiresAt) && Date.parse(link.expiresAt) <= Date.now();
+}
+
+function recordClick(shortId) {
+  const link = links.get(shortId);
+  return links.set(shortId, {
+    ...link,
+    clicks: link.clicks + 1,
+    lastClickedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  isValidAlias,
+  hasLink,
+  getLink,
+  createLink,
+  isExpired,
+  recordClick
+};
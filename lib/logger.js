@@ -0,0 +1,72 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+// JSON logs, one object per line: { time, level, service, message, requestId, ...fields }.
+// Everything that runs on behalf of a request, awaited work and queued jobs included, logs
+// with its request ID without passing it around, see withContext.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[config.logLevel] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Runs fn with store ({ requestId }) as the context of everything it starts
+function withContext(store, fn) {
+  return context.run(store, fn);
+}
+
+function requestId() {
+  return context.getStore()?.requestId || null;
+}
+
+// Errors don't survive JSON.stringify, axios errors also carry the upstream status
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    stack: error.stack
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    service: 'Ladybug CDN',
+    message: message,
+    requestId: requestId() || undefined,
+    ...fields
+  };
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+}
+
+function debug(message, fields) {
+  write('debug', message, fields);
+}
+
+function info(message, fields) {
+  write('info', message, fields);
+}
+
+function warn(message, fields) {
+  write('warn', message, fields);
+}
+
+// error is an Error or, where the stack is noise, just its message
+function error(message, err, fields = {}) {
+  write('error', message, { ...fields, error: serializeError(err) });
+}
+
+module.exports = {
+  withContext,
+  requestId,
+  debug,
+  info,
+  warn,
+  error
+};
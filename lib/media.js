@@ -0,0 +1,83 @@
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../config');
+
+if (config.ffmpegPath) {
+  ffmpeg.setFfmpegPath(config.ffmpegPath);
+}
+
+const MP3_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+
+// Transcodes any readable stream or local file path into MP3, returns { output, command }:
+// the MP3 stream and the ffmpeg command, to kill when nobody reads the output anymore.
+// ffmpeg failures are emitted as 'error' on output.
+function transcodeToMp3(input, { bitrate = 128, title, artist } = {}) {
+  const output = new PassThrough();
+  const command = ffmpeg(input)
+    .noVideo()
+    .audioCodec('libmp3lame')
+    .audioBitrate(bitrate)
+    .format('mp3');
+
+  if (title) command.outputOptions('-metadata', `title=${title}`);
+  if (artist) command.outputOptions('-metadata', `artist=${artist}`);
+
+  command
+    .on('error', error => output.destroy(error))
+    .pipe(output, { end: true });
+
+  return { output, command };
+}
+
+// Muxes a video-only and an audio-only source (URLs or local paths) into one MP4 stream.
+// Fragmented MP4 so it can be written to a non-seekable output like an HTTP response.
+// Returns { output, command } like transcodeToMp3.
+function muxToMp4(videoInput, audioInput) {
+  const output = new PassThrough();
+
+  const command = ffmpeg()
+    .input(videoInput)
+    .input(audioInput)
+    .outputOptions([
+      '-map', '0:v:0',
+      '-map', '1:a:0',
+      '-c:v', 'copy',
+      '-c:a', 'aac',
+      '-movflags', 'frag_keyframe+empty_moov'
+    ])
+    .format('mp4');
+
+  command
+    .on('error', error => output.destroy(error))
+    .pipe(output, { end: true });
+
+  return { output, command };
+}
+
+// Collects a stream into a buffer, failing once it grows past maxBytes
+function streamToBuffer(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        const error = new Error(`Output is larger than ${maxBytes} bytes`);
+        error.code = 'FILE_TOO_LARGE';
+        stream.destroy(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+module.exports = {
+  MP3_BITRATES,
+  transcodeToMp3,
+  muxToMp4,
+  streamToBuffer
+};
@@ -0,0 +1,98 @@
+const client = require('prom-client');
+
+// Prometheus metrics served on /metrics. Route labels are the declared route paths
+// (/api/ladybug/files/:fileId), never the requested URL, so a label can't grow per file.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'ladybug_' });
+
+const httpRequests = new client.Counter({
+  name: 'ladybug_http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'ladybug_http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const uploadedBytes = new client.Counter({
+  name: 'ladybug_uploaded_bytes_total',
+  help: 'Bytes of uploaded files stored, by folder',
+  labelNames: ['folder'],
+  registers: [register]
+});
+
+const githubDuration = new client.Histogram({
+  name: 'ladybug_github_request_duration_seconds',
+  help: 'GitHub API call latency by method and status',
+  labelNames: ['method', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const githubErrors = new client.Counter({
+  name: 'ladybug_github_errors_total',
+  help: 'Failed GitHub API calls by status, "network" when no response came back',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'ladybug_rate_limit_rejections_total',
+  help: 'Requests refused by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+const turnstileVerifications = new client.Counter({
+  name: 'ladybug_turnstile_verifications_total',
+  help: 'Turnstile CAPTCHA checks by result: pass, fail or error (siteverify unreachable)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+function observeRequest(method, route, status, seconds) {
+  const labels = { method, route, status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+function recordUpload(folder, bytes) {
+  uploadedBytes.inc({ folder }, bytes);
+}
+
+// status is the HTTP status, or null when the call failed without a response
+function observeGithubCall(method, status, seconds) {
+  githubDuration.observe({ method: method.toUpperCase(), status: status === null ? 'network' : String(status) }, seconds);
+  if (status === null || status >= 400) {
+    githubErrors.inc({ status: status === null ? 'network' : String(status) });
+  }
+}
+
+function recordRateLimited(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+function recordTurnstile(result) {
+  turnstileVerifications.inc({ result });
+}
+
+// Resolves with { contentType, body } in the Prometheus text format
+async function render() {
+  return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+  observeRequest,
+  recordUpload,
+  observeGithubCall,
+  recordRateLimited,
+  recordTurnstile,
+  render
+};
@@ -0,0 +1,30 @@
+const QRCode = require('qrcode');
+
+// Byte-mode capacity of the largest QR code (version 40) per error-correction level
+const QR_CAPACITY = { L: 2953, M: 2331, Q: 1663, H: 1273 };
+
+const QR_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+// Renders a QR code to a PNG or SVG buffer
+async function renderQr(text, { format, size, margin, errorCorrectionLevel, darkColor, lightColor }) {
+  const options = {
+    width: size,
+    margin: margin,
+    errorCorrectionLevel: errorCorrectionLevel,
+    color: { dark: darkColor, light: lightColor }
+  };
+
+  if (format === 'svg') {
+    return Buffer.from(await QRCode.toString(text, { ...options, type: 'svg' }));
+  }
+  return QRCode.toBuffer(text, { ...options, type: 'png' });
+}
+
+module.exports = {
+  QR_CAPACITY,
+  QR_FORMATS,
+  renderQr
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+// Registry of every file Ladybug has committed to the storage repo
+const files = createStore('files');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateDeleteKey() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function hasFile(fileId) {
+  return files.has(fileId);
+}
+
+function getFile(fileId) {
+  return files.get(fileId);
+}
+
+// Expiring uploads never stand in for a permanent one, their file is about to go away, and
+// private files never stand in for anything
+function findByHash(sha256) {
+  return files.find(record => record.sha256 === sha256 && !record.expiresAt && record.visibility !== 'private');
+}
+
+// The record a stored object belongs to (its file, a part, the manifest or a variant), by the
+// driver and location it sits in
+function findByPath(storageName, location, objectPath) {
+  return files.find(record => (record.storage || 'github') === storageName
+    && (record.repo ?? null) === (location ?? null)
+    && recordPaths(record).includes(objectPath));
+}
+
+// Stores the record together with a hash of its deleteKey, the key itself is never persisted.
+// Files indexed from the repo have no deleteKey (null) and can't be deleted through the API.
+function addFile(record, deleteKey) {
+  return files.set(record.fileId, { ...record, deleteKeyHash: deleteKey ? hashKey(deleteKey) : null });
+}
+
+function listFiles() {
+  return files.all();
+}
+
+// filters: { folder, mimeType (exact or "image/*"), from, to (Dates on uploadedAt), q (file name) }
+// Newest first, files without an upload time last
+function searchFiles({ folder, mimeType, from, to, q }) {
+  const query = q ? q.toLowerCase() : null;
+  return files.all()
+    .filter(record => !folder || record.folder === folder)
+    .filter(record => !mimeType || (mimeType.endsWith('/*')
+      ? (record.mimeType || '').startsWith(mimeType.slice(0, -1))
+      : record.mimeType === mimeType))
+    .filter(record => !from || (record.uploadedAt && new Date(record.uploadedAt) >= from))
+    .filter(record => !to || (record.uploadedAt && new Date(record.uploadedAt) <= to))
+    .filter(record => !query || record.fileName.toLowerCase().includes(query))
+    .sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+}
+
+// Every object a record occupies in storage, as { path, id } with the driver's object ID
+function recordObjects(record) {
+  const objects = record.chunked
+    ? [...record.parts.map(part => ({ path: part.path, id: part.sha })), { path: record.manifestPath, id: record.sha }]
+    : [{ path: record.path, id: record.sha }];
+  return [...objects, ...Object.values(record.variants || {}).map(variant => ({ path: variant.path, id: variant.sha }))];
+}
+
+function recordPaths(record) {
+  return recordObjects(record).map(object => object.path);
+}
+
+function removeFile(fileId) {
+  return files.remove(fileId);
+}
+
+function verifyDeleteKey(record, deleteKey) {
+  if (!record || !record.deleteKeyHash || !deleteKey) return false;
+  const expected = Buffer.from(record.deleteKeyHash, 'hex');
+  const actual = Buffer.from(hashKey(deleteKey), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Strips secrets and uploader details before a record goes out in an API response
+function toPublic(record) {
+  const { deleteKeyHash, uploaderIp, apiKeyId, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  generateDeleteKey,
+  hasFile,
+  getFile,
+  findByHash,
+  findByPath,
+  addFile,
+  removeFile,
+  listFiles,
+  searchFiles,
+  recordObjects,
+  recordPaths,
+  verifyDeleteKey,
+  toPublic
+};
@@ -0,0 +1,200 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const config = require('../config');
+
+// Fetches a public URL into memory for /api/ladybug/upload-url. Every hop is resolved
+// once, checked against the ranges below and connected to by that same address, so a
+// DNS answer can't change between the check and the request. Webhook deliveries go out
+// through the same lookup with the agents below.
+
+const blockList = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockList.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockList.addSubnet(network, prefix, 'ipv6');
+}
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by the
+// BlockList itself, a ::ffff:0:0/96 rule would match every IPv4 address
+
+function fetchError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for http.request that refuses private answers
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(fetchError(`${hostname} resolves to a private or reserved address`, 'BLOCKED_ADDRESS', 403));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agents for axios, every connection they open is resolved through safeLookup
+const agents = {
+  httpAgent: new http.Agent({ lookup: safeLookup }),
+  httpsAgent: new https.Agent({ lookup: safeLookup })
+};
+
+// IP literals never go through the lookup, so they are checked here
+function checkHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw fetchError(`${host} is a private or reserved address`, 'BLOCKED_ADDRESS', 403);
+  }
+  return host;
+}
+
+// For a URL that is stored now and requested later, like a webhook's: refuses private
+// literals and names that resolve to private addresses today. A name that doesn't resolve
+// yet is let through, every later request is checked by safeLookup again
+async function checkPublicUrl(value) {
+  const url = new URL(value);
+  const host = checkHost(url);
+  if (!net.isIP(host)) {
+    await new Promise((resolve, reject) => {
+      safeLookup(host, { all: true }, error => (error && error.code === 'BLOCKED_ADDRESS' ? reject(error) : resolve()));
+    });
+  }
+  return url;
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw fetchError('Invalid URL', 'INVALID_URL', 400);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw fetchError('Only http and https URLs can be fetched', 'INVALID_URL', 400);
+  }
+  if (url.username || url.password) {
+    throw fetchError('URLs with credentials are not accepted', 'INVALID_URL', 400);
+  }
+  checkHost(url);
+  return url;
+}
+
+function fileNameFor(url, response) {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename\*=UTF-8''([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i);
+  if (match) {
+    try {
+      return path.posix.basename(decodeURIComponent(match[1]));
+    } catch (error) {
+      return path.posix.basename(match[1]);
+    }
+  }
+  try {
+    return path.posix.basename(decodeURIComponent(url.pathname)) || 'download';
+  } catch (error) {
+    return path.posix.basename(url.pathname) || 'download';
+  }
+}
+
+// One request, resolves with the response once headers are in
+function request(url, signal, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: safeLookup,
+      signal: signal,
+      headers: { 'User-Agent': 'Ladybug-CDN', 'Accept': '*/*' }
+    }, resolve);
+    req.setTimeout(timeout, () => req.destroy(fetchError('Remote server stopped responding', 'FETCH_TIMEOUT', 504)));
+    req.on('error', reject);
+  });
+}
+
+// Returns { buffer, size, contentType, fileName, finalUrl }. Errors carry .code and .status
+async function fetchRemoteFile(value, { maxBytes, maxRedirects = parseInt(config.remoteMaxRedirects) || 3, timeout = parseInt(config.remoteFetchTimeout) || 30000 }) {
+  let url = parseUrl(value);
+  const controller = new AbortController();
+  const deadline = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await request(url, controller.signal, timeout);
+
+      if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+        response.resume();
+        if (redirects >= maxRedirects) {
+          throw fetchError(`More than ${maxRedirects} redirects`, 'TOO_MANY_REDIRECTS', 502);
+        }
+        url = parseUrl(new URL(response.headers.location, url).href);
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw fetchError(`Remote server answered ${response.statusCode}`, 'FETCH_FAILED', 502);
+      }
+
+      const declared = parseInt(response.headers['content-length']);
+      if (declared > maxBytes) {
+        response.destroy();
+        throw fetchError(`Remote file is larger than ${maxBytes} bytes`, 'FILE_TOO_LARGE', 413);
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          throw fetchError(`Remote file is larger than ${maxBytes} bytes`, 'FILE_TOO_LARGE', 413);
+        }
+        chunks.push(chunk);
+      }
+
+      return {
+        buffer: Buffer.concat(chunks, size),
+        size: size,
+        contentType: (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+        fileName: fileNameFor(url, response),
+        finalUrl: url.href
+      };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw fetchError(`Fetching the URL took longer than ${timeout}ms`, 'FETCH_TIMEOUT', 504);
+    }
+    if (!error.code || !error.status) {
+      throw fetchError(`Could not fetch URL: ${error.message}`, 'FETCH_FAILED', 502);
+    }
+    throw error;
+  } finally {
+    clearTimeout(deadline);
+  }
+}
+
+module.exports = {
+  agents,
+  isBlockedAddress,
+  checkHost,
+  checkPublicUrl,
+  fetchRemoteFile
+};
@@ -0,0 +1,136 @@
+const config = require('../config');
+const github = require('./github');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Storage repo pool. Uploads go to the first repo that still has room, bytes written
+// are tracked locally and, when enabled, corrected with the size GitHub reports.
+const repoState = createStore('repos');
+
+const SIZE_LIMIT = parseInt(config.repoSizeLimit) || 900 * 1024 * 1024;
+const SIZE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+function configuredRepos() {
+  const names = (config.githubRepos || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? names : [config.githubRepo];
+}
+
+// Configured repos first, then the ones Ladybug created itself in creation order
+function poolRepos() {
+  const created = repoState.all()
+    .filter(entry => entry.created)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(entry => entry.name);
+  return [...new Set([...configuredRepos(), ...created])];
+}
+
+function getState(repo) {
+  return repoState.get(repo) || { name: repo, reportedBytes: 0, bytesWritten: 0, checkedAt: null };
+}
+
+function usedBytes(state) {
+  return state.reportedBytes + state.bytesWritten;
+}
+
+// Refreshes the GitHub reported size at most once an hour. GitHub's number already
+// includes what we wrote so far, so the local counter starts over from there.
+async function refreshSize(repo) {
+  const state = getState(repo);
+  if (config.repoSizeCheck !== 'true') return state;
+  if (state.checkedAt && Date.now() - Date.parse(state.checkedAt) < SIZE_CHECK_INTERVAL) return state;
+
+  try {
+    const data = await github.getRepo(repo);
+    return repoState.set(repo, {
+      ...state,
+      reportedBytes: data.size * 1024,
+      bytesWritten: 0,
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Ladybug CDN - Error checking size of ${repo}`, error.message);
+    return state;
+  }
+}
+
+function nextRepoName() {
+  const pool = poolRepos();
+  let index = pool.length + 1;
+  while (pool.includes(`${config.githubRepo}-${index}`)) index++;
+  return `${config.githubRepo}-${index}`;
+}
+
+// Uploads that find the pool full at the same time share one creation, each would make
+// a repo of its own otherwise
+let creating = null;
+
+function createPoolRepo() {
+  if (!creating) {
+    creating = (async () => {
+      const repo = nextRepoName();
+      await github.createRepo(repo);
+      repoState.set(repo, {
+        ...getState(repo),
+        created: true,
+        createdAt: new Date().toISOString()
+      });
+      logger.info(`Ladybug CDN - Created storage repo ${repo}`);
+      return repo;
+    })().finally(() => {
+      creating = null;
+    });
+  }
+  return creating;
+}
+
+// Picks the repo the next `incomingBytes` should be written to
+async function getActiveRepo(incomingBytes = 0) {
+  const pool = poolRepos();
+
+  for (const repo of pool) {
+    const state = await refreshSize(repo);
+    if (usedBytes(state) + incomingBytes <= SIZE_LIMIT) {
+      return repo;
+    }
+  }
+
+  if (config.autoCreateRepos === 'true') {
+    // Another upload may have created one while this one was checking sizes
+    if (poolRepos().length > pool.length) {
+      return getActiveRepo(incomingBytes);
+    }
+    return createPoolRepo();
+  }
+
+  // Nothing left with room, keep writing to the last repo until an operator adds one
+  const lastRepo = pool[pool.length - 1];
+  logger.warn(`Ladybug CDN - All storage repos are over ${SIZE_LIMIT} bytes, still using ${lastRepo}`);
+  return lastRepo;
+}
+
+function recordWrite(repo, bytes) {
+  const state = getState(repo);
+  repoState.set(repo, { ...state, bytesWritten: state.bytesWritten + bytes });
+}
+
+function getUsage() {
+  return poolRepos().map(repo => {
+    const state = getState(repo);
+    return {
+      repo: repo,
+      usedBytes: usedBytes(state),
+      limitBytes: SIZE_LIMIT,
+      checkedAt: state.checkedAt
+    };
+  });
+}
+
+module.exports = {
+  poolRepos,
+  getActiveRepo,
+  recordWrite,
+  getUsage
+};
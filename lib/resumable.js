@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+const { createStore } = require('./store');
+const logger = require('./logger');
+
+// Sessions for resumable (tus 1.0) uploads. Bytes are appended to a staging file in
+// RESUMABLE_DIR and the session is kept in the uploads store, so a client can carry on
+// after a dropped connection or a server restart. Sessions without a PATCH for
+// RESUMABLE_EXPIRY are deleted with their staging file.
+
+const DIR = path.resolve(config.resumableDir || path.join(config.dataDir || './data', 'uploads'));
+const EXPIRY = parseInt(config.resumableExpiry) || 24 * 60 * 60 * 1000;
+
+const sessions = createStore('uploads');
+// Outcomes of finished uploads carry the deleteKey, so they are only kept in memory
+const results = new Map();
+// Sessions with a PATCH or the final upload in progress
+const busy = new Set();
+let timer = null;
+
+function stagingPath(uploadId) {
+  return path.join(DIR, `${uploadId}.bin`);
+}
+
+function sessionError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function isExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now;
+}
+
+function nextExpiry() {
+  return new Date(Date.now() + EXPIRY).toISOString();
+}
+
+// metadata: the decoded Upload-Metadata pairs
+function createSession({ length, metadata, apiKeyId = null }) {
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  fs.mkdirSync(DIR, { recursive: true });
+  fs.writeFileSync(stagingPath(uploadId), '');
+
+  return sessions.set(uploadId, {
+    uploadId: uploadId,
+    length: length,
+    offset: 0,
+    metadata: metadata,
+    apiKeyId: apiKeyId,
+    status: 'uploading',
+    fileId: null,
+    createdAt: new Date().toISOString(),
+    expiresAt: nextExpiry()
+  });
+}
+
+function getSession(uploadId) {
+  const session = sessions.get(uploadId);
+  return session && !isExpired(session) ? session : null;
+}
+
+function isBusy(uploadId) {
+  return busy.has(uploadId);
+}
+
+// Appends a PATCH body at the session's offset and resolves with the updated session.
+// Whatever reached the disk counts, also when the client drops halfway, so the offset is
+// always read back from the staging file.
+async function appendChunk(uploadId, stream) {
+  if (busy.has(uploadId)) {
+    throw sessionError('Another request is already writing to this upload', 'UPLOAD_LOCKED', 423);
+  }
+  busy.add(uploadId);
+
+  const session = sessions.get(uploadId);
+  const remaining = session.length - session.offset;
+  let received = 0;
+  let failure = null;
+
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        return callback(sessionError('Chunk goes past Upload-Length', 'CHUNK_TOO_LARGE', 413));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(stagingPath(uploadId), { flags: 'a' }));
+  } catch (error) {
+    failure = error;
+  }
+
+  try {
+    const { size } = await fs.promises.stat(stagingPath(uploadId));
+    return sessions.set(uploadId, { ...session, offset: size, expiresAt: nextExpiry() });
+  } finally {
+    busy.delete(uploadId);
+    if (failure) {
+      throw failure;
+    }
+  }
+}
+
+// Hands the assembled file to finish, which resolves with the upload outcome { status, body }.
+// The staging file goes away either way, a rejected file can't be fixed by resending bytes.
+async function complete(uploadId, finish) {
+  if (busy.has(uploadId)) {
+    throw sessionError('This upload is already being processed', 'UPLOAD_LOCKED', 423);
+  }
+  busy.add(uploadId);
+
+  try {
+    const buffer = await fs.promises.readFile(stagingPath(uploadId));
+    const outcome = await finish(buffer);
+    const session = sessions.get(uploadId);
+    sessions.set(uploadId, {
+      ...session,
+      status: outcome.body.success ? 'completed' : 'failed',
+      fileId: outcome.body.fileId || null,
+      expiresAt: nextExpiry()
+    });
+    results.set(uploadId, outcome);
+    await fs.promises.rm(stagingPath(uploadId), { force: true });
+    return outcome;
+  } finally {
+    busy.delete(uploadId);
+  }
+}
+
+function getResult(uploadId) {
+  return results.get(uploadId) || null;
+}
+
+async function removeSession(uploadId) {
+  sessions.remove(uploadId);
+  results.delete(uploadId);
+  await fs.promises.rm(stagingPath(uploadId), { force: true });
+}
+
+// Drops expired sessions and staging files no session points at (left by a crash)
+async function cleanup(now = Date.now()) {
+  let removed = 0;
+  for (const session of sessions.all()) {
+    if (isExpired(session, now) && !busy.has(session.uploadId)) {
+      await removeSession(session.uploadId);
+      removed++;
+    }
+  }
+
+  let staged = [];
+  try {
+    staged = await fs.promises.readdir(DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const name of staged) {
+    if (!sessions.has(path.basename(name, '.bin'))) {
+      await fs.promises.rm(path.join(DIR, name), { force: true });
+    }
+  }
+
+  return removed;
+}
+
+function startCleanupWorker(interval) {
+  if (timer || !(interval > 0)) return;
+  timer = setInterval(() => {
+    cleanup().catch(error => {
+      logger.error('Ladybug CDN - Error cleaning up resumable uploads', error);
+    });
+  }, interval);
+  timer.unref();
+}
+
+function toPublic(session) {
+  const { apiKeyId, ...rest } = session;
+  return rest;
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  isBusy,
+  appendChunk,
+  complete,
+  getResult,
+  removeSession,
+  cleanup,
+  startCleanupWorker,
+  toPublic
+};
@@ -0,0 +1,348 @@
+const schemas = require('./schemas');
+
+// The route table. Every route is declared once with what it takes and answers, and that
+// declaration validates its requests and generates /api/openapi.json, /api/docs and the
+// endpoint lists of /api/info and the home page.
+//
+// spec: {
+//   method, path (Express syntax), category (a CATEGORIES key), summary, description,
+//   auth: 'apiKey' | 'admin' | 'turnstile' | 'signedUrl' | 'deleteKey' | 'encryptionKey',
+//   params, query, headers: { name: field },
+//   body: { type: 'json' | 'multipart' | 'binary', fields: { name: field }, files: { name: field } },
+//   responses: { status: description or { description, schema, contentType } },
+//   hidden: true keeps it out of the documentation
+// }
+// A field is a JSON Schema subset (type, nullable, enum, minimum, maximum, minLength, maxLength,
+// pattern, items, default, description) plus required, query: true for body fields that may
+// come in the query string instead, and code / message to answer a failed check with. Without
+// them a missing field answers NO_<NAME> and an invalid one INVALID_<NAME>.
+
+const CATEGORIES = {
+  cdn: { name: 'CDN Services', description: 'File upload and management' },
+  youtube: { name: 'YouTube Services', description: 'YouTube video and audio downloads' },
+  ai: { name: 'AI Services', description: 'Artificial Intelligence services' },
+  utilities: { name: 'Utility Services', description: 'Useful utility tools' },
+  admin: { name: 'Admin Services', description: 'API key management, webhooks and index sync (X-Admin-Token)' },
+  service: { name: 'Service', description: 'Health checks and documentation' }
+};
+
+const SECURITY = {
+  apiKey: [{ apiKey: [] }],
+  admin: [{ adminToken: [] }]
+};
+
+const routes = [];
+
+function define(spec) {
+  if (!CATEGORIES[spec.category]) {
+    throw new Error(`Route ${spec.method.toUpperCase()} ${spec.path} has unknown category "${spec.category}"`);
+  }
+  routes.push(spec);
+  return spec;
+}
+
+function listRoutes() {
+  return routes.filter(spec => !spec.hidden);
+}
+
+// ==================== VALIDATION ====================
+
+// fileId -> FILE_ID, customAlias -> CUSTOM_ALIAS, X-Delete-Key -> DELETE_KEY
+function constantName(name) {
+  return name
+    .replace(/^X-/i, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Query strings and multipart fields only carry strings, so numbers and booleans are also
+// accepted in their string form. Resolves the value to check against enum and bounds, or
+// undefined when the type is wrong
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? value : undefined;
+    case 'integer':
+      if (typeof value === 'number') return Number.isInteger(value) ? value : undefined;
+      return typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : undefined;
+    case 'number':
+      if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+      return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return ['true', 'false', '1', '0'].includes(String(value).toLowerCase()) ? ['true', '1'].includes(String(value).toLowerCase()) : undefined;
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+function describeBounds(name, field) {
+  const { minimum, maximum } = field;
+  const kind = field.type === 'integer' ? 'an integer' : 'a number';
+  if (minimum !== undefined && maximum !== undefined) return `${name} must be ${kind} between ${minimum} and ${maximum}`;
+  if (minimum !== undefined) return `${name} must be ${kind} of at least ${minimum}`;
+  return `${name} must be ${kind} of at most ${maximum}`;
+}
+
+// Returns the message for the first rule value breaks, or null
+function check(name, value, field) {
+  if (value === null && field.nullable) return null;
+
+  const coerced = field.type ? coerce(value, field.type) : value;
+  if (coerced === undefined) {
+    return field.enum ? `${name} must be one of: ${field.enum.join(', ')}` : `${name} must be ${field.type === 'array' || field.type === 'object' || field.type === 'integer' ? 'an' : 'a'} ${field.type}`;
+  }
+
+  if (field.enum && !field.enum.includes(coerced)) {
+    return `${name} must be one of: ${field.enum.join(', ')}`;
+  }
+  if ((field.minimum !== undefined && coerced < field.minimum) || (field.maximum !== undefined && coerced > field.maximum)) {
+    return describeBounds(name, field);
+  }
+  if (typeof coerced === 'string') {
+    if (field.minLength !== undefined && coerced.length < field.minLength) return `${name} must be at least ${field.minLength} characters`;
+    if (field.maxLength !== undefined && coerced.length > field.maxLength) return `${name} must be at most ${field.maxLength} characters`;
+    if (field.pattern && !new RegExp(field.pattern).test(coerced)) return `${name} has an invalid format`;
+  }
+  if (Array.isArray(coerced)) {
+    if (field.minItems !== undefined && coerced.length < field.minItems) return `${name} must have at least ${field.minItems} items`;
+    if (field.maxItems !== undefined && coerced.length > field.maxItems) return `${name} must have at most ${field.maxItems} items`;
+    if (field.items) {
+      const failed = coerced.map(item => check(`${name} items`, item, field.items)).find(Boolean);
+      if (failed) return failed;
+    }
+  }
+  return null;
+}
+
+// Every declared field with where its value comes from
+function fieldsOf(spec) {
+  const entries = [];
+  const add = (fields, read) => Object.entries(fields || {}).forEach(([name, field]) => entries.push({ name, field, read }));
+
+  add(spec.params, (req, name) => req.params[name]);
+  add(spec.headers, (req, name) => req.get(name));
+  add(spec.query, (req, name) => req.query[name]);
+  if (spec.body && spec.body.type !== 'binary') {
+    add(spec.body.fields, (req, name, field) => req.body?.[name] ?? (field.query ? req.query[name] : undefined));
+    // Multer has run by now, files are only checked for being there
+    add(spec.body.files, (req, name) => req.file?.fieldname === name ? req.file : req.files?.length ? req.files : undefined);
+  }
+  return entries;
+}
+
+// Middleware answering 400 for the first field that breaks its declaration
+function validate(spec) {
+  const entries = fieldsOf(spec);
+
+  return (req, res, next) => {
+    for (const { name, field, read } of entries) {
+      const value = read(req, name, field);
+      const missing = isMissing(value);
+      const error = missing
+        ? (field.required ? `${name} is required` : null)
+        : check(name, value, field);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: field.message || error,
+          service: 'Ladybug CDN',
+          code: field.code || `${missing ? 'NO' : 'INVALID'}_${constantName(name)}`
+        });
+      }
+    }
+    next();
+  };
+}
+
+// ==================== DOCUMENTATION ====================
+
+// "/api/ladybug/uploads{/:uploadId}" -> ['/api/ladybug/uploads', '/api/ladybug/uploads/:uploadId']
+function expandPath(path) {
+  const optional = path.match(/^(.*)\{([^}]*)\}(.*)$/);
+  if (!optional) return [path];
+  return [...expandPath(optional[1] + optional[3]), ...expandPath(optional[1] + optional[2] + optional[3])];
+}
+
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+// A field without the validation-only keys
+function toSchema(field) {
+  const { required, query, code, message, description, nullable, items, ...schema } = field;
+  return {
+    ...schema,
+    ...(nullable ? { nullable: true } : {}),
+    ...(items ? { items: toSchema(items) } : {})
+  };
+}
+
+function parameter(name, field, location) {
+  return {
+    name: name,
+    in: location,
+    required: location === 'path' || Boolean(field.required),
+    description: field.description,
+    schema: toSchema(field)
+  };
+}
+
+function requestBody(body) {
+  if (body.type === 'binary') {
+    return {
+      required: true,
+      description: body.description,
+      content: { [body.contentType || 'application/octet-stream']: { schema: { type: 'string', format: 'binary' } } }
+    };
+  }
+
+  const properties = {};
+  const required = [];
+  for (const [name, field] of Object.entries(body.fields || {})) {
+    properties[name] = { ...toSchema(field), description: field.description };
+    if (field.required) required.push(name);
+  }
+  for (const [name, field] of Object.entries(body.files || {})) {
+    properties[name] = field.multiple
+      ? { type: 'array', items: { type: 'string', format: 'binary' }, description: field.description }
+      : { type: 'string', format: 'binary', description: field.description };
+    if (field.required) required.push(name);
+  }
+
+  return {
+    required: required.length > 0,
+    content: {
+      [body.type === 'multipart' ? 'multipart/form-data' : 'application/json']: {
+        schema: { type: 'object', properties, ...(required.length ? { required } : {}) }
+      }
+    }
+  };
+}
+
+function response(status, value) {
+  const { description, schema, contentType = 'application/json' } = typeof value === 'string' ? { description: value } : value;
+  const body = schema || (Number(status) >= 400 ? schemas.ref('Error') : null);
+  return {
+    description: description,
+    ...(body ? { content: { [contentType]: { schema: body } } } : {})
+  };
+}
+
+// "/api/ladybug/files/:fileId" -> "ApiLadybugFilesFileId"
+function pascalPath(path) {
+  return path.split(/[^A-Za-z0-9]+/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+}
+
+function operation(spec, path) {
+  // Parameters of an optional segment only exist on the path that has it
+  const parameters = [
+    ...Object.entries(spec.params || {}).filter(([name]) => path.includes(`:${name}`)).map(([name, field]) => parameter(name, field, 'path')),
+    ...Object.entries(spec.headers || {}).map(([name, field]) => parameter(name, field, 'header')),
+    ...Object.entries(spec.query || {}).map(([name, field]) => parameter(name, field, 'query')),
+    ...Object.entries(spec.body?.fields || {}).filter(([, field]) => field.query).map(([name, field]) => parameter(name, field, 'query'))
+  ];
+
+  const responses = Object.fromEntries(Object.entries(spec.responses || { 200: 'OK' }).map(([status, value]) => [status, response(status, value)]));
+  if (fieldsOf(spec).length && !responses[400]) {
+    responses[400] = response(400, 'Invalid request, code names the field');
+  }
+
+  return {
+    tags: [CATEGORIES[spec.category].name],
+    summary: spec.summary,
+    description: spec.description,
+    operationId: `${spec.method}${pascalPath(path)}`,
+    ...(SECURITY[spec.auth] ? { security: SECURITY[spec.auth] } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    ...(spec.body ? { requestBody: requestBody(spec.body) } : {}),
+    responses: responses
+  };
+}
+
+function openApi({ baseUrl, version, description }) {
+  const paths = {};
+  for (const spec of listRoutes()) {
+    for (const path of expandPath(spec.path)) {
+      const openApiPath = toOpenApiPath(path);
+      paths[openApiPath] = { ...paths[openApiPath], [spec.method]: operation(spec, path) };
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Ladybug CDN', version: version, description: description },
+    servers: [{ url: baseUrl }],
+    tags: Object.values(CATEGORIES).map(({ name, description: text }) => ({ name, description: text })),
+    paths: paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'API key issued with POST /api/admin/keys' },
+        adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+      },
+      schemas: schemas.components
+    }
+  };
+}
+
+// What a route takes, as { name: description } for /api/docs
+function parameterDescriptions(spec) {
+  const described = {};
+  const add = (fields = {}, note = '') => {
+    for (const [name, field] of Object.entries(fields)) {
+      described[name] = `${note}${field.description || ''}`;
+    }
+  };
+  add(spec.params);
+  add(spec.headers, 'Header: ');
+  add(spec.query);
+  add(spec.body?.files);
+  add(spec.body?.fields);
+  return described;
+}
+
+// /api/docs, one entry per "METHOD /path" grouped by category name
+function docs() {
+  const categories = {};
+  for (const spec of listRoutes().filter(item => item.category !== 'service')) {
+    const { name } = CATEGORIES[spec.category];
+    categories[name] = {
+      ...categories[name],
+      [`${spec.method.toUpperCase()} ${spec.path}`]: {
+        description: spec.description || spec.summary,
+        parameters: parameterDescriptions(spec)
+      }
+    };
+  }
+  return categories;
+}
+
+// /api/info, the paths of each category
+function info() {
+  const categories = {};
+  for (const [key, { description }] of Object.entries(CATEGORIES).filter(([item]) => item !== 'service')) {
+    const paths = listRoutes().filter(spec => spec.category === key).flatMap(spec => expandPath(spec.path));
+    categories[key] = { description: description, endpoints: [...new Set(paths)] };
+  }
+  return categories;
+}
+
+module.exports = {
+  CATEGORIES,
+  define,
+  listRoutes,
+  validate,
+  openApi,
+  docs,
+  info
+};
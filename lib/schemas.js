@@ -0,0 +1,231 @@
+// Response schemas shared by the route declarations, published under components.schemas in
+// /api/openapi.json. Every JSON answer carries service and most a timestamp.
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// { success, service, data, timestamp } around data
+function envelope(data) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      service: { type: 'string', example: 'Ladybug CDN' },
+      data: data,
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  };
+}
+
+function listOf(name) {
+  return { type: 'array', items: ref(name) };
+}
+
+const string = { type: 'string' };
+const nullableString = { type: 'string', nullable: true };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: 'string', format: 'date-time', nullable: true };
+
+const components = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: string,
+      details: string,
+      service: { type: 'string', example: 'Ladybug CDN' },
+      code: { type: 'string', description: 'Stable UPPER_SNAKE error code, e.g. FILE_NOT_FOUND', example: 'FILE_NOT_FOUND' }
+    }
+  },
+  Encryption: {
+    type: 'object',
+    description: 'Present on encrypted uploads, mimeType and fileSize are the plaintext\'s',
+    properties: {
+      algorithm: { type: 'string', example: 'aes-256-gcm' },
+      kdf: { type: 'string', nullable: true, enum: ['scrypt', null] },
+      mimeType: string,
+      fileSize: integer
+    }
+  },
+  Upload: {
+    type: 'object',
+    properties: {
+      success: boolean,
+      rawUrl: { type: 'string', nullable: true, description: 'Public URL, null for private files' },
+      pinnedUrl: { type: 'string', description: 'URL pinned to the commit, never served stale' },
+      signedUrl: { type: 'string', description: 'Private files: expiring /f/:fileId URL' },
+      signedUrlExpiresAt: dateTime,
+      visibility: { type: 'string', enum: ['public', 'private'] },
+      fileId: string,
+      fileName: string,
+      folder: string,
+      fileSize: integer,
+      mimeType: string,
+      chunked: boolean,
+      parts: integer,
+      variants: { type: 'object', additionalProperties: string, description: 'Variant name to URL' },
+      expiresAt: dateTime,
+      encryption: ref('Encryption'),
+      decryptUrl: string,
+      encryptionKey: { type: 'string', description: 'Only returned here, the server never stores it' },
+      deduplicated: boolean,
+      deleteKey: { type: 'string', description: 'Only returned here, needed to delete the file' },
+      service: string,
+      timestamp: dateTime
+    }
+  },
+  BatchUpload: envelope({
+    type: 'object',
+    properties: {
+      total: integer,
+      uploaded: integer,
+      failed: integer,
+      commitSha: nullableString,
+      results: { type: 'array', items: { allOf: [ref('Upload'), { type: 'object', properties: { index: integer, originalName: string, error: string, code: string } }] } }
+    }
+  }),
+  Accepted: envelope({
+    type: 'object',
+    properties: {
+      jobId: string,
+      status: { type: 'string', enum: ['queued'] },
+      statusUrl: string
+    }
+  }),
+  Job: {
+    type: 'object',
+    properties: {
+      jobId: string,
+      type: { type: 'string', enum: ['upload', 'upload-url', 'batch-upload'] },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+      httpStatus: { type: 'integer', nullable: true },
+      result: { type: 'object', nullable: true, description: 'What the upload would have answered' },
+      createdAt: dateTime,
+      startedAt: nullableDateTime,
+      finishedAt: nullableDateTime
+    }
+  },
+  ResumableUpload: {
+    type: 'object',
+    properties: {
+      uploadId: string,
+      length: integer,
+      offset: integer,
+      metadata: { type: 'object', additionalProperties: string },
+      status: { type: 'string', enum: ['uploading', 'completed', 'failed'] },
+      fileId: nullableString,
+      createdAt: dateTime,
+      expiresAt: dateTime,
+      result: { type: 'object', nullable: true, description: 'The upload response once the last chunk is in' }
+    }
+  },
+  FileRecord: {
+    type: 'object',
+    properties: {
+      fileId: string,
+      fileName: string,
+      folder: string,
+      path: string,
+      storage: { type: 'string', enum: ['github', 'gitlab', 'local', 's3', 'github-private'] },
+      visibility: { type: 'string', enum: ['public', 'private'] },
+      repo: nullableString,
+      branch: nullableString,
+      sha: nullableString,
+      commitSha: nullableString,
+      rawUrl: nullableString,
+      pinnedUrl: nullableString,
+      fileSize: integer,
+      mimeType: string,
+      sha256: nullableString,
+      chunked: boolean,
+      parts: { type: 'array', items: { type: 'object', properties: { path: string, size: integer, sha: nullableString } } },
+      variants: { type: 'object', additionalProperties: { type: 'object' } },
+      encryption: ref('Encryption'),
+      source: string,
+      uploadedAt: nullableDateTime,
+      expiresAt: nullableDateTime
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: string,
+      name: string,
+      prefix: string,
+      rateLimit: { type: 'object', properties: { windowMs: integer, max: integer } },
+      dailyUploadBytes: integer,
+      allowedFolders: { type: 'array', items: string, nullable: true },
+      usage: { type: 'object', description: 'Today\'s usage', properties: { date: string, bytes: integer, uploads: integer } },
+      totalBytes: integer,
+      totalUploads: integer,
+      createdAt: dateTime,
+      lastUsedAt: nullableDateTime,
+      revokedAt: nullableDateTime
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: string,
+      url: string,
+      events: { type: 'array', items: string },
+      folders: { type: 'array', items: string, nullable: true },
+      description: nullableString,
+      active: boolean,
+      createdAt: dateTime,
+      updatedAt: nullableDateTime
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: string,
+      webhookId: string,
+      event: string,
+      payload: { type: 'object' },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: {
+        type: 'array',
+        items: { type: 'object', properties: { at: dateTime, durationMs: integer, statusCode: { type: 'integer', nullable: true }, error: nullableString } }
+      },
+      nextAttemptAt: nullableDateTime,
+      replayOf: nullableString,
+      createdAt: dateTime
+    }
+  },
+  ShortLink: {
+    type: 'object',
+    properties: {
+      shortId: string,
+      shortUrl: string,
+      originalUrl: string,
+      clicks: integer,
+      createdAt: dateTime,
+      lastClickedAt: nullableDateTime,
+      expiresAt: nullableDateTime,
+      expired: boolean
+    }
+  },
+  SyncState: {
+    type: 'object',
+    properties: {
+      running: boolean,
+      startedAt: nullableDateTime,
+      finishedAt: nullableDateTime,
+      progress: { type: 'object', nullable: true },
+      result: { type: 'object', nullable: true, description: 'Files added, updated and removed by the last sync' },
+      error: nullableString
+    }
+  }
+};
+
+module.exports = {
+  components,
+  ref,
+  envelope,
+  listOf
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Expiring links to private files, "/f/<fileId>?variant=<variant>&token=<expires>.<signature>".
+// expires is a unix time and the signature the HMAC-SHA256 of "<fileId>.<variant>.<expires>"
+// (variant empty for the file itself) with SIGNED_URL_SECRET, so a token can't be moved to
+// another file or variant or kept alive past its expiry. Every query parameter /f/ acts on
+// besides the token has to be part of the signed string. Rotating the secret revokes every
+// URL handed out so far.
+
+const DEFAULT_TTL = parseInt(config.signedUrlTtl) || 60 * 60;
+const MAX_TTL = parseInt(config.maxSignedUrlTtl) || 7 * 24 * 60 * 60;
+
+function isEnabled() {
+  return Boolean(config.signedUrlSecret && config.privateRepo);
+}
+
+function signature(fileId, variant, expires) {
+  return crypto.createHmac('sha256', config.signedUrlSecret).update(`${fileId}.${variant || ''}.${expires}`).digest('base64url');
+}
+
+// ttl in seconds. variant points the URL at one of the file's image variants
+function createSignedUrl(baseUrl, fileId, { ttl = DEFAULT_TTL, variant = null } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const query = new URLSearchParams({ ...(variant ? { variant } : {}), token: `${expires}.${signature(fileId, variant, expires)}` });
+  return {
+    url: `${baseUrl}/f/${encodeURIComponent(fileId)}?${query}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+// variant is the one the request asks for, null for the file itself.
+// Returns { expiresAt } (milliseconds) for a valid token, or { rejection }
+function checkToken(fileId, token, { variant = null } = {}) {
+  if (!token || typeof token !== 'string') {
+    return { rejection: { status: 401, error: 'A signed URL is required for private files', code: 'NO_TOKEN' } };
+  }
+
+  const [expires, given = ''] = token.split('.');
+  const expected = Buffer.from(signature(fileId, variant, expires));
+  const actual = Buffer.from(given);
+  if (!/^\d+$/.test(expires) || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { rejection: { status: 403, error: 'Invalid signed URL', code: 'INVALID_TOKEN' } };
+  }
+
+  if (Number(expires) * 1000 <= Date.now()) {
+    return { rejection: { status: 403, error: 'Signed URL has expired', code: 'TOKEN_EXPIRED' } };
+  }
+
+  return { expiresAt: Number(expires) * 1000 };
+}
+
+module.exports = {
+  DEFAULT_TTL,
+  MAX_TTL,
+  isEnabled,
+  createSignedUrl,
+  checkToken
+};
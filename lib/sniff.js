@@ -0,0 +1,233 @@
+// Content sniffing from file signatures ("magic bytes"). detect() returns
+// { mime, compatible, generic } for recognised binaries, { mime, text: true } for
+// plain text and null for anything else. `compatible` lists the claimed MIME types
+// that are honest labels for that content; `generic` marks containers whose exact
+// type can't be told from the bytes, so the (compatible) claimed type is more precise.
+
+// Executables and installers, only accepted when configured explicitly
+const DANGEROUS_MIME_TYPES = [
+  'application/x-msdownload',
+  'application/x-msi',
+  'application/x-executable',
+  'application/x-mach-binary',
+  'application/vnd.android.package-archive',
+  'application/x-apple-diskimage'
+];
+
+// Claimed types that are fine for any text content
+const TEXT_MIME_TYPES = [
+  'application/json',
+  'application/ld+json',
+  'application/xml',
+  'application/javascript',
+  'application/typescript',
+  'application/x-httpd-php',
+  'application/x-yaml',
+  'application/graphql',
+  'application/sql',
+  'application/x-www-form-urlencoded',
+  'application/rtf'
+];
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.toString('latin1', start, Math.min(end, buffer.length));
+}
+
+function result(mime, compatible = [mime], generic = false) {
+  return { mime, compatible: [...new Set([mime, ...compatible])], generic };
+}
+
+// ISO base media (MP4, MOV, 3GP, HEIF, AVIF...) told apart by the major brand
+function detectFtyp(buffer) {
+  const brand = ascii(buffer, 8, 12);
+
+  if (['avif', 'avis'].includes(brand)) return result('image/avif');
+  if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) return result('image/heic', ['image/heif']);
+  if (['mif1', 'msf1'].includes(brand)) return result('image/heif', ['image/heic', 'image/avif'], true);
+  if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return result('audio/x-m4a', ['audio/mp4', 'audio/aac']);
+  if (brand === 'qt  ') return result('video/quicktime', ['video/mp4']);
+  if (brand.startsWith('3g2')) return result('video/3gpp2', ['video/3gpp', 'audio/3gpp2']);
+  if (brand.startsWith('3gp')) return result('video/3gpp', ['video/3gpp2', 'audio/3gpp']);
+  return result('video/mp4', ['audio/mp4', 'audio/x-m4a', 'video/quicktime', 'video/3gpp'], true);
+}
+
+// Zip based formats announce themselves in the first entry names
+function detectZip(buffer) {
+  const head = ascii(buffer, 0, 64 * 1024);
+
+  const odf = head.match(/mimetypeapplication\/vnd\.oasis\.opendocument\.(text|spreadsheet|presentation)/);
+  if (odf) return result(`application/vnd.oasis.opendocument.${odf[1]}`, ZIP_TYPES);
+  if (head.includes('AndroidManifest.xml')) return result('application/vnd.android.package-archive', ZIP_TYPES);
+  if (head.includes('[Content_Types].xml') || /(word|xl|ppt)\//.test(head)) {
+    if (head.includes('word/')) return result('application/vnd.openxmlformats-officedocument.wordprocessingml.document', ZIP_TYPES);
+    if (head.includes('xl/')) return result('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ZIP_TYPES);
+    if (head.includes('ppt/')) return result('application/vnd.openxmlformats-officedocument.presentationml.presentation', ZIP_TYPES);
+  }
+
+  // Entry names may sit past what we scanned, so any zip based type is an honest label
+  return result('application/zip', [
+    'application/x-zip-compressed',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation'
+  ], true);
+}
+
+// "MZ" alone is two printable letters, a Windows executable also has e_lfanew (0x3C) pointing
+// at a "PE\0\0" header
+function isPortableExecutable(buffer) {
+  if (ascii(buffer, 0, 2) !== 'MZ' || buffer.length < 0x40) return false;
+  return startsWith(buffer, [0x50, 0x45, 0x00, 0x00], buffer.readUInt32LE(0x3C));
+}
+
+function detectBinary(buffer) {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return result('image/jpeg', ['image/jpg']);
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return result('image/png');
+  if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) return result('image/gif');
+  if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return result('image/tiff');
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) return result('image/x-icon', ['image/vnd.microsoft.icon']);
+
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return result('image/webp');
+    if (format === 'WAVE') return result('audio/wav', ['audio/wave', 'audio/x-wav']);
+    if (format === 'AVI ') return result('video/x-msvideo', ['video/avi']);
+  }
+
+  if (ascii(buffer, 4, 8) === 'ftyp') return detectFtyp(buffer);
+
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return ascii(buffer, 0, 64).includes('webm')
+      ? result('video/webm', ['audio/webm'])
+      : result('video/x-matroska', ['video/webm', 'audio/webm']);
+  }
+
+  if (ascii(buffer, 0, 4) === 'OggS') return result('audio/ogg', ['video/ogg', 'application/ogg'], true);
+  if (ascii(buffer, 0, 4) === 'fLaC') return result('audio/flac', ['audio/x-flac']);
+  if (ascii(buffer, 0, 4) === 'MThd') return result('audio/midi', ['audio/x-midi']);
+  if (ascii(buffer, 0, 3) === 'ID3') return result('audio/mpeg', ['audio/mp3']);
+  // ADTS AAC frames have layer bits 00, MPEG audio frames don't
+  if (buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) return result('audio/aac', ['audio/x-aac']);
+  if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return result('audio/mpeg', ['audio/mp3']);
+  if (startsWith(buffer, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11])) return result('video/x-ms-wmv', ['audio/x-ms-wma', 'video/x-ms-asf'], true);
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0xBA]) || startsWith(buffer, [0x00, 0x00, 0x01, 0xB3])) return result('video/mpeg');
+
+  if (ascii(buffer, 0, 5) === '%PDF-') return result('application/pdf');
+  if (ascii(buffer, 0, 5) === '{\\rtf') return result('application/rtf', ['text/rtf']);
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])) return detectZip(buffer);
+  if (ascii(buffer, 0, 6) === 'Rar!\x1A\x07') return result('application/x-rar-compressed', ['application/vnd.rar']);
+  if (startsWith(buffer, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return result('application/x-7z-compressed');
+  if (startsWith(buffer, [0x1F, 0x8B])) return result('application/gzip', ['application/x-gzip']);
+  if (ascii(buffer, 0, 3) === 'BZh') return result('application/x-bzip2', ['application/x-bzip']);
+  if (ascii(buffer, 257, 262) === 'ustar') return result('application/x-tar');
+  if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+    return result('application/msword', ['application/vnd.ms-excel', 'application/vnd.ms-powerpoint', 'application/x-msi'], true);
+  }
+
+  if (startsWith(buffer, [0x00, 0x01, 0x00, 0x00, 0x00])) return result('font/ttf', ['application/x-font-ttf']);
+  if (ascii(buffer, 0, 4) === 'OTTO') return result('font/otf', ['application/x-font-otf']);
+  if (ascii(buffer, 0, 4) === 'wOFF') return result('font/woff', ['application/font-woff']);
+  if (ascii(buffer, 0, 4) === 'wOF2') return result('font/woff2', ['application/font-woff2']);
+
+  if (isPortableExecutable(buffer)) return result('application/x-msdownload');
+  if (startsWith(buffer, [0x7F, 0x45, 0x4C, 0x46])) return result('application/x-executable');
+  if ([0xFEEDFACE, 0xFEEDFACF, 0xCEFAEDFE, 0xCFFAEDFE].includes(buffer.length >= 4 ? buffer.readUInt32BE(0) : 0)) {
+    return result('application/x-mach-binary');
+  }
+  // Disk images keep their "koly" trailer in the last 512 bytes
+  if (buffer.length >= 512 && ascii(buffer, buffer.length - 512, buffer.length - 508) === 'koly') {
+    return result('application/x-apple-diskimage');
+  }
+
+  return null;
+}
+
+// UTF-16 text is full of NUL bytes, only its byte order mark tells it apart from binary
+function utf16Encoding(buffer) {
+  if (startsWith(buffer, [0xFF, 0xFE])) return 'utf16le';
+  if (startsWith(buffer, [0xFE, 0xFF])) return 'utf16be';
+  return null;
+}
+
+// The first 8KB as characters: UTF-16 code units after a byte order mark, one per byte otherwise
+function textSample(buffer) {
+  const encoding = utf16Encoding(buffer);
+  if (!encoding) return buffer.toString('latin1', 0, 8192);
+  const end = 2 + Math.floor((Math.min(buffer.length, 8194) - 2) / 2) * 2;
+  const units = Buffer.from(buffer.subarray(2, end));
+  return (encoding === 'utf16be' ? units.swap16() : units).toString('utf16le');
+}
+
+// No NUL characters and hardly any control characters in the first 8KB. Encoding is not
+// checked beyond a UTF-16 byte order mark, Latin-1 CSVs are as much text as UTF-8 ones.
+function looksLikeText(buffer) {
+  const sample = textSample(buffer);
+  if (sample.includes('\0')) return false;
+  let control = 0;
+  for (let index = 0; index < sample.length; index++) {
+    const code = sample.charCodeAt(index);
+    if (code < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(code)) control++;
+  }
+  return control <= sample.length * 0.01;
+}
+
+function detect(buffer) {
+  // UTF-16 text goes before the signatures, FF FE also reads as an MPEG audio frame header
+  const utf16 = Boolean(utf16Encoding(buffer)) && looksLikeText(buffer);
+  const binary = !utf16 && detectBinary(buffer);
+  if (binary) return binary;
+
+  if (utf16 || looksLikeText(buffer)) {
+    const head = utf16 ? textSample(buffer) : buffer.toString('utf8', 0, 4096);
+    if (/<svg[\s>]/i.test(head)) {
+      return { mime: 'image/svg+xml', text: true };
+    }
+    return { mime: 'text/plain', text: true };
+  }
+
+  return null;
+}
+
+function isTextType(mimeType) {
+  return mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType);
+}
+
+// Claimed types we have a signature for, content we can't recognise can't honestly carry one
+const SIGNED_MIME_TYPES = [
+  'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/tiff', 'image/x-icon',
+  'image/vnd.microsoft.icon', 'image/avif', 'image/heic', 'image/heif',
+  'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/wave', 'audio/x-wav', 'audio/aac', 'audio/x-aac',
+  'audio/flac', 'audio/x-flac', 'audio/ogg', 'audio/midi', 'audio/x-midi', 'audio/x-m4a', 'audio/mp4',
+  'audio/webm', 'audio/x-ms-wma',
+  'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime', 'video/x-msvideo', 'video/avi', 'video/mpeg',
+  'video/x-matroska', 'video/3gpp', 'video/3gpp2', 'video/x-ms-wmv',
+  'application/pdf', 'application/zip', 'application/x-zip-compressed', 'application/x-rar-compressed',
+  'application/vnd.rar', 'application/x-7z-compressed', 'application/gzip', 'application/x-gzip',
+  'application/x-tar', 'application/x-bzip', 'application/x-bzip2', 'application/msword',
+  'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'font/ttf', 'font/otf', 'font/woff', 'font/woff2', 'application/x-font-ttf', 'application/x-font-otf',
+  'application/font-woff', 'application/font-woff2',
+  ...DANGEROUS_MIME_TYPES
+];
+
+module.exports = {
+  DANGEROUS_MIME_TYPES,
+  SIGNED_MIME_TYPES,
+  detect,
+  isTextType
+};
@@ -0,0 +1,140 @@
+const axios = require('axios');
+const config = require('../../config');
+const github = require('../github');
+const repos = require('../repos');
+const logger = require('../logger');
+
+// GitHub repos served through jsDelivr. Writes go to the active repo of the pool, single
+// small files through the contents API and everything else as one Git Data API commit.
+
+const LARGE_FILE_THRESHOLD = parseInt(config.largeFileThreshold) || 10 * 1024 * 1024;
+const MAX_BLOB_SIZE = parseInt(config.maxBlobSize) || 40 * 1024 * 1024;
+
+function deletion(paths) {
+  return paths.map(filePath => ({ path: filePath, content: null }));
+}
+
+// Commits files to one repo, resolves like put
+async function writeFiles(files, message, repo) {
+  if (files.length === 1 && files[0].content.length <= LARGE_FILE_THRESHOLD) {
+    const response = await github.putFile(files[0].path, files[0].content.toString('base64'), message, repo);
+    return { location: repo, commitSha: response.commit.sha, ids: { [files[0].path]: response.content.sha } };
+  }
+
+  const commit = await github.commitFiles(files.map(file => ({ path: file.path, content: file.content.toString('base64') })), message, repo);
+  return { location: repo, commitSha: commit.commitSha, ids: commit.blobs };
+}
+
+async function put(files, { message, bytes }) {
+  const repo = await repos.getActiveRepo(bytes);
+  const result = await writeFiles(files, message, repo);
+  repos.recordWrite(repo, bytes);
+  return result;
+}
+
+// Deleting a path that isn't in the tree fails the tree with a 422 "BadObjectState". A 422 from
+// the ref update means the branch moved on (not a fast forward) and is left to the write queue
+function isMissingPath(error) {
+  const { status, data } = error.response || {};
+  return status === 404 || (status === 422 && /BadObjectState|does not exist|not found/i.test(data?.message || ''));
+}
+
+async function remove(objects, { message, location }) {
+  if (objects.length === 1) {
+    try {
+      await github.deleteFile(objects[0].path, objects[0].id, message, location);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+    return;
+  }
+
+  const paths = objects.map(object => object.path);
+  try {
+    await github.commitFiles(deletion(paths), message, location);
+  } catch (error) {
+    // A path that is already gone fails the whole tree, retry with what is still there
+    if (!isMissingPath(error)) throw error;
+    github.clearTreeCache(location);
+    const existing = new Set((await github.getTree(location)).map(entry => entry.path));
+    const remaining = paths.filter(filePath => existing.has(filePath));
+    if (remaining.length) {
+      await github.commitFiles(deletion(remaining), message, location);
+    }
+  }
+}
+
+function get(filePath, location, id) {
+  return github.getBlobStream(id, location);
+}
+
+async function list(location) {
+  github.clearTreeCache(location);
+  const entries = await github.getTree(location);
+  return entries.map(entry => ({ path: entry.path, size: entry.size, id: entry.sha }));
+}
+
+function publicUrl(filePath, location = config.githubRepo) {
+  return `${config.cdnApiUrl}/${config.githubUser}/${location}@${config.repoBranch || 'main'}/${filePath}`;
+}
+
+// jsDelivr caches @branch URLs for hours, a commit SHA never changes what it points at
+function pinnedUrl(filePath, location = config.githubRepo, commitSha) {
+  return `${config.cdnApiUrl}/${config.githubUser}/${location}@${commitSha}/${filePath}`;
+}
+
+// Asks jsDelivr to drop its cached copy of each path's branch URL. Never rejects, resolves
+// with { path, url, purged, throttled } or { path, url, purged: false, error } per path
+function purge(paths, location = config.githubRepo) {
+  return Promise.all(paths.map(async filePath => {
+    const url = publicUrl(filePath, location);
+    try {
+      const { data } = await axios.get(`${config.cdnPurgeUrl}/${config.githubUser}/${location}@${config.repoBranch || 'main'}/${filePath}`, { timeout: 10000 });
+      const throttled = Object.values(data?.paths || {}).some(result => result.throttled);
+      return { path: filePath, url: url, purged: true, throttled: throttled };
+    } catch (error) {
+      logger.error(`Ladybug CDN - Error purging ${url} from jsDelivr`, error.message);
+      return { path: filePath, url: url, purged: false, error: error.message };
+    }
+  }));
+}
+
+// Same bytes already committed somewhere in the pool, found by git blob SHA
+async function findContent(buffer) {
+  if (buffer.length > MAX_BLOB_SIZE) return null;
+
+  const blobSha = github.gitBlobSha(buffer);
+  for (const repo of repos.poolRepos()) {
+    try {
+      const existingPath = await github.findBlobPath(blobSha, repo);
+      if (existingPath) {
+        return { path: existingPath, location: repo };
+      }
+    } catch (error) {
+      logger.error(`Ladybug CDN - Error checking ${repo} for duplicates`, error.message);
+    }
+  }
+  return null;
+}
+
+async function history(filePath, location) {
+  const commit = await github.getFileCommit(filePath, location);
+  return commit ? { commitSha: commit.sha, uploadedAt: commit.date } : null;
+}
+
+module.exports = {
+  name: 'github',
+  branch: config.repoBranch || 'main',
+  maxObjectSize: MAX_BLOB_SIZE,
+  put,
+  delete: remove,
+  get,
+  list,
+  publicUrl,
+  pinnedUrl,
+  purge,
+  locations: () => repos.poolRepos(),
+  findContent,
+  history,
+  writeFiles
+};
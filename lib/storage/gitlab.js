@@ -0,0 +1,108 @@
+const axios = require('axios');
+const config = require('../../config');
+
+// A GitLab project's repository, files served from its /-/raw/ URLs (the project has to be
+// public for those to work without a token). Every put or delete is a single commit.
+
+const MAX_BLOB_SIZE = parseInt(config.maxBlobSize) || 40 * 1024 * 1024;
+
+function projectUrl(project = config.gitlabProject) {
+  return `${config.gitlabUrl || 'https://gitlab.com'}/api/v4/projects/${encodeURIComponent(project)}`;
+}
+
+function gitlabHeaders() {
+  return { 'PRIVATE-TOKEN': config.gitlabToken };
+}
+
+function branch() {
+  return config.gitlabBranch || 'main';
+}
+
+async function commit(actions, message, project) {
+  const { data } = await axios.post(`${projectUrl(project)}/repository/commits`, {
+    branch: branch(),
+    commit_message: message,
+    actions: actions
+  }, {
+    headers: gitlabHeaders(),
+    maxBodyLength: Infinity
+  });
+  return data.id;
+}
+
+async function put(files, { message }) {
+  const project = config.gitlabProject;
+  const commitSha = await commit(files.map(file => ({
+    action: 'create',
+    file_path: file.path,
+    content: file.content.toString('base64'),
+    encoding: 'base64'
+  })), message, project);
+  return { location: project, commitSha: commitSha, ids: {} };
+}
+
+async function list(location = config.gitlabProject) {
+  const entries = [];
+  let page = 1;
+  while (page) {
+    const response = await axios.get(`${projectUrl(location)}/repository/tree`, {
+      params: { ref: branch(), recursive: true, per_page: 100, page: page },
+      headers: gitlabHeaders()
+    });
+    for (const entry of response.data.filter(item => item.type === 'blob')) {
+      entries.push({ path: entry.path, size: undefined, id: entry.id });
+    }
+    page = parseInt(response.headers['x-next-page']) || 0;
+  }
+  return entries;
+}
+
+async function remove(objects, { message, location }) {
+  const actions = paths => paths.map(filePath => ({ action: 'delete', file_path: filePath }));
+  const paths = objects.map(object => object.path);
+  try {
+    await commit(actions(paths), message, location);
+  } catch (error) {
+    // A path that is already gone fails the whole commit, retry with what is still there
+    if (error.response?.status !== 400) throw error;
+    const existing = new Set((await list(location)).map(entry => entry.path));
+    const remaining = paths.filter(filePath => existing.has(filePath));
+    if (remaining.length) {
+      await commit(actions(remaining), message, location);
+    }
+  }
+}
+
+async function get(filePath, location) {
+  const response = await axios.get(`${projectUrl(location)}/repository/files/${encodeURIComponent(filePath)}/raw`, {
+    params: { ref: branch() },
+    headers: gitlabHeaders(),
+    responseType: 'stream'
+  });
+  return response.data;
+}
+
+function publicUrl(filePath, location = config.gitlabProject) {
+  return `${config.gitlabUrl || 'https://gitlab.com'}/${location}/-/raw/${branch()}/${filePath}`;
+}
+
+async function history(filePath, location) {
+  const { data } = await axios.get(`${projectUrl(location)}/repository/commits`, {
+    params: { ref_name: branch(), path: filePath, per_page: 1 },
+    headers: gitlabHeaders()
+  });
+  return data.length ? { commitSha: data[0].id, uploadedAt: data[0].committed_date } : null;
+}
+
+module.exports = {
+  name: 'gitlab',
+  branch: branch(),
+  maxObjectSize: MAX_BLOB_SIZE,
+  put,
+  delete: remove,
+  get,
+  list,
+  publicUrl,
+  locations: () => [config.gitlabProject],
+  history
+};
@@ -0,0 +1,78 @@
+const config = require('../../config');
+
+// Every driver implements:
+//   put(files [{ path, content: Buffer, mimeType }], { message, bytes }) -> { location, commitSha, ids: { path: id } }
+//   delete(objects [{ path, id }], { message, location }), objects that are already gone are not an error
+//   get(path, location, id) -> readable stream
+//   list(location) -> [{ path, size, id, uploadedAt? }]
+//   publicUrl(path, location, baseUrl) -> URL the file is served from
+//   locations() -> every location list() can be called with (repos, buckets...)
+//   maxObjectSize, bigger files are split into parts
+// and optionally findContent(buffer) -> { path, location }, history(path, location) -> { commitSha, uploadedAt },
+// pinnedUrl(path, location, commitSha) -> URL that never changes and purge(paths, location) to clear a CDN cache.
+// Drivers flagged private have no public URLs, their files are only served through /f/:fileId.
+const drivers = {
+  github: require('./github'),
+  gitlab: require('./gitlab'),
+  local: require('./local'),
+  s3: require('./s3'),
+  'github-private': require('./private')
+};
+
+function getDriver(name = config.storageDriver || 'github') {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}", expected one of ${Object.keys(drivers).join(', ')}`);
+  }
+  return driver;
+}
+
+// "videos=s3,size>52428800=s3" -> [{ folder: 'videos', driver: 's3' }, { minSize: 52428800, driver: 's3' }]
+function parseRoutes(value) {
+  return String(value || '')
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .map(rule => {
+      const [condition, driver] = rule.split('=').map(part => part.trim());
+      const size = condition.match(/^size>(\d+)$/);
+      if (getDriver(driver).private) {
+        throw new Error(`Storage route "${rule}" points at ${driver}, private storage only takes visibility=private uploads`);
+      }
+      return size ? { minSize: parseInt(size[1]), driver } : { folder: condition, driver };
+    });
+}
+
+const routes = parseRoutes(config.storageRoutes);
+
+// Driver for a new upload. Private uploads always go to the private repo, otherwise the
+// first matching route wins
+function driverFor({ folder, size, visibility = 'public' }) {
+  if (visibility === 'private') {
+    return drivers['github-private'];
+  }
+  const route = routes.find(rule => rule.folder ? rule.folder === folder : size > rule.minSize);
+  return getDriver(route ? route.driver : undefined);
+}
+
+// Records from before storage drivers existed are all on GitHub
+function driverForRecord(record) {
+  return getDriver(record.storage || 'github');
+}
+
+// Drivers that new uploads can land on
+function activeDrivers() {
+  const names = [config.storageDriver || 'github', ...routes.map(rule => rule.driver)];
+  if (config.privateRepo) {
+    names.push('github-private');
+  }
+  return [...new Set(names)].map(getDriver);
+}
+
+module.exports = {
+  drivers,
+  getDriver,
+  driverFor,
+  driverForRecord,
+  activeDrivers
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+// Files on the server's own disk under LOCAL_STORAGE_DIR, served by Express at /storage.
+// There is a single location (null) and nothing to commit.
+
+const ROOT = path.resolve(config.localStorageDir || './storage');
+
+// Absolute path for a storage path, refusing anything that would escape ROOT
+function resolvePath(filePath) {
+  const absolute = path.resolve(ROOT, filePath);
+  if (!absolute.startsWith(ROOT + path.sep)) {
+    throw new Error(`Invalid storage path: ${filePath}`);
+  }
+  return absolute;
+}
+
+async function put(files) {
+  for (const file of files) {
+    const target = resolvePath(file.path);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const tmpFile = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, file.content);
+    await fs.promises.rename(tmpFile, target);
+  }
+  return { location: null, commitSha: null, ids: {} };
+}
+
+async function remove(objects) {
+  for (const object of objects) {
+    await fs.promises.rm(resolvePath(object.path), { force: true });
+  }
+}
+
+async function get(filePath) {
+  const target = resolvePath(filePath);
+  await fs.promises.access(target);
+  return fs.createReadStream(target);
+}
+
+async function list() {
+  const entries = [];
+  const walk = async directory => {
+    let items;
+    try {
+      items = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const item of items) {
+      const absolute = path.join(directory, item.name);
+      if (item.isDirectory()) {
+        await walk(absolute);
+      } else if (item.isFile() && !item.name.endsWith('.tmp')) {
+        const stats = await fs.promises.stat(absolute);
+        entries.push({
+          path: path.relative(ROOT, absolute).split(path.sep).join('/'),
+          size: stats.size,
+          id: null,
+          uploadedAt: stats.mtime.toISOString()
+        });
+      }
+    }
+  };
+  await walk(ROOT);
+  return entries;
+}
+
+function publicUrl(filePath, location, baseUrl = config.publicUrl) {
+  return `${baseUrl || ''}/storage/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+module.exports = {
+  name: 'local',
+  root: ROOT,
+  maxObjectSize: Infinity,
+  put,
+  delete: remove,
+  get,
+  list,
+  publicUrl,
+  locations: () => [null]
+};
@@ -0,0 +1,45 @@
+const config = require('../../config');
+const github = require('../github');
+const githubDriver = require('./github');
+
+// Uploads made with visibility=private, kept in GITHUB_PRIVATE_REPO. Nothing here has a
+// public URL, jsDelivr can't read private repos, so files are only served by the /f/:fileId
+// proxy behind a signed URL. Writes refuse to go anywhere GitHub doesn't report as private.
+
+let checkedRepo = null;
+
+async function ensurePrivate(repo) {
+  if (checkedRepo === repo) return;
+  const data = await github.getRepo(repo);
+  if (!data.private) {
+    throw new Error(`Repo ${repo} is public, private uploads need a private repo`);
+  }
+  checkedRepo = repo;
+}
+
+async function put(files, { message }) {
+  const repo = config.privateRepo;
+  if (!repo) {
+    throw new Error('Private uploads are disabled, set GITHUB_PRIVATE_REPO to enable them');
+  }
+  await ensurePrivate(repo);
+  return githubDriver.writeFiles(files, message, repo);
+}
+
+function publicUrl() {
+  return null;
+}
+
+module.exports = {
+  name: 'github-private',
+  private: true,
+  branch: githubDriver.branch,
+  maxObjectSize: githubDriver.maxObjectSize,
+  put,
+  delete: githubDriver.delete,
+  get: githubDriver.get,
+  list: githubDriver.list,
+  publicUrl,
+  locations: () => config.privateRepo ? [config.privateRepo] : [],
+  history: githubDriver.history
+};
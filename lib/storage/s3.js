@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config');
+
+// S3-compatible object storage (AWS S3, MinIO, R2...), addressed path-style as
+// <endpoint>/<bucket>/<key> and signed with AWS Signature Version 4.
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// encodeURIComponent leaves !'()* alone, SigV4 wants them escaped
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// Adds x-amz-date, x-amz-content-sha256 and Authorization to headers.
+// url must already be encoded the way it will be sent.
+function signRequest({ method, url, headers = {}, payloadHash = EMPTY_HASH, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = { ...headers, host: host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+  const names = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+
+  const canonicalQuery = [...searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+function bucketUrl(bucket = config.s3Bucket) {
+  return `${(config.s3Endpoint || 'https://s3.amazonaws.com').replace(/\/$/, '')}/${encodeRfc3986(bucket)}`;
+}
+
+function send(method, url, { headers = {}, body, responseType } = {}) {
+  const signed = signRequest({
+    method: method,
+    url: url,
+    headers: headers,
+    payloadHash: body ? sha256(body) : EMPTY_HASH,
+    region: config.s3Region || 'us-east-1',
+    accessKeyId: config.s3AccessKeyId,
+    secretAccessKey: config.s3SecretAccessKey
+  });
+  return axios({ method, url, headers: signed, data: body, responseType, maxBodyLength: Infinity });
+}
+
+async function put(files) {
+  const bucket = config.s3Bucket;
+  const ids = {};
+  for (const file of files) {
+    const response = await send('PUT', `${bucketUrl(bucket)}/${encodeKey(file.path)}`, {
+      headers: { 'content-type': file.mimeType || 'application/octet-stream' },
+      body: file.content
+    });
+    ids[file.path] = (response.headers.etag || '').replace(/"/g, '') || null;
+  }
+  return { location: bucket, commitSha: null, ids: ids };
+}
+
+async function remove(objects, { location }) {
+  for (const object of objects) {
+    try {
+      await send('DELETE', `${bucketUrl(location)}/${encodeKey(object.path)}`);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+}
+
+async function get(filePath, location) {
+  const response = await send('GET', `${bucketUrl(location)}/${encodeKey(filePath)}`, { responseType: 'stream' });
+  return response.data;
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+async function list(location = config.s3Bucket) {
+  const entries = [];
+  let token = null;
+  do {
+    const query = `list-type=2${token ? `&continuation-token=${encodeRfc3986(token)}` : ''}`;
+    const { data } = await send('GET', `${bucketUrl(location)}?${query}`, { responseType: 'text' });
+    for (const [, object] of data.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      entries.push({
+        path: xmlValue(object, 'Key'),
+        size: parseInt(xmlValue(object, 'Size')),
+        id: (xmlValue(object, 'ETag') || '').replace(/"/g, '') || null,
+        uploadedAt: xmlValue(object, 'LastModified')
+      });
+    }
+    token = xmlValue(data, 'IsTruncated') === 'true' ? xmlValue(data, 'NextContinuationToken') : null;
+  } while (token);
+  return entries;
+}
+
+function publicUrl(filePath, location = config.s3Bucket) {
+  const base = config.s3PublicUrl ? config.s3PublicUrl.replace(/\/$/, '') : bucketUrl(location);
+  return `${base}/${encodeKey(filePath)}`;
+}
+
+module.exports = {
+  name: 's3',
+  maxObjectSize: Infinity,
+  put,
+  delete: remove,
+  get,
+  list,
+  publicUrl,
+  locations: () => [config.s3Bucket],
+  signRequest
+};
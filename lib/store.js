@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+// Changes are written out at most once per SAVE_DELAY, off the request path, so a hot
+// route (a short link click) doesn't rewrite the whole file on every hit
+const SAVE_DELAY = 1000;
+
+// Stores with changes not yet on disk, flushed synchronously if the process exits first
+const pending = new Set();
+
+// Tiny JSON file store used for Ladybug's local state (file registry etc.)
+// Every collection lives in its own file inside config.dataDir.
+function createStore(name) {
+  const dir = path.resolve(config.dataDir || './data');
+  const file = path.join(dir, `${name}.json`);
+  // No prototype, so IDs from URLs like "__proto__" or "constructor" are just missing keys
+  let items = Object.create(null);
+  let timer = null;
+  let writing = null;
+
+  try {
+    items = Object.assign(Object.create(null), JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      logger.error(`Ladybug CDN - Error loading ${name} store`, e);
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written store
+  function saveSync() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(items, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  async function write() {
+    // One write at a time, changes made meanwhile go out with the next one
+    if (writing) {
+      await writing;
+      return save();
+    }
+    const tmpFile = `${file}.tmp`;
+    writing = fs.promises.mkdir(dir, { recursive: true })
+      .then(() => fs.promises.writeFile(tmpFile, JSON.stringify(items, null, 2)))
+      .then(() => fs.promises.rename(tmpFile, file))
+      .then(() => {
+        // Changes made during the write have a save of their own scheduled
+        if (!timer) pending.delete(flush);
+      })
+      .catch(error => logger.error(`Ladybug CDN - Error saving ${name} store`, error))
+      .finally(() => { writing = null; });
+    await writing;
+  }
+
+  function save() {
+    pending.add(flush);
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      write();
+    }, SAVE_DELAY);
+    timer.unref();
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    pending.delete(flush);
+    saveSync();
+  }
+
+  return {
+    get(id) {
+      return items[id] || null;
+    },
+    has(id) {
+      return Object.prototype.hasOwnProperty.call(items, id);
+    },
+    set(id, value) {
+      items[id] = value;
+      save();
+      return value;
+    },
+    remove(id) {
+      if (!this.has(id)) return false;
+      delete items[id];
+      save();
+      return true;
+    },
+    all() {
+      return Object.values(items);
+    },
+    find(predicate) {
+      return Object.values(items).find(predicate) || null;
+    }
+  };
+}
+
+process.on('exit', () => {
+  for (const flush of pending) flush();
+});
+
+module.exports = { createStore };
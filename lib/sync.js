@@ -0,0 +1,231 @@
+const path = require('path');
+const mime = require('mime-types');
+const registry = require('./registry');
+const storage = require('./storage');
+const logger = require('./logger');
+
+// Rebuilds the file registry from what the storage drivers list (git trees, buckets, the
+// local folder). Files the registry doesn't know (uploads from before it existed, a wiped
+// DATA_DIR, manual commits) are added and records whose file is gone from storage are
+// dropped. Indexed files get no deleteKey.
+
+const PART_FILE = /\.part\d{3}$/;
+const MANIFEST_FILE = /\.manifest\.json$/;
+const THUMBNAIL_FILE = /^(.+)\.(thumb\d+)\.[a-z0-9]+$/i;
+
+// History lookups are one API call per file, this many run at a time
+const HISTORY_BATCH = 8;
+
+const state = {
+  running: false,
+  startedAt: null,
+  finishedAt: null,
+  progress: null,
+  result: null,
+  error: null
+};
+
+// Uploads are named "<fileId>_<original name>", anything else gets a fresh ID
+function fileIdFor(fileName, reserved, makeFileId) {
+  const match = fileName.match(/^([A-Za-z0-9-]+)_./);
+  const fileId = match && !registry.hasFile(match[1]) && !reserved.has(match[1]) ? match[1] : makeFileId(reserved);
+  reserved.add(fileId);
+  return fileId;
+}
+
+async function readManifest(driver, entry, location) {
+  const stream = await driver.get(entry.path, location, entry.id);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+// Commit and upload time where the driver keeps history, otherwise what the listing said
+async function historyFor(driver, entry, location) {
+  if (!driver.history) {
+    return { commitSha: null, uploadedAt: entry.uploadedAt || null };
+  }
+  try {
+    return await driver.history(entry.path, location) || { commitSha: null, uploadedAt: null };
+  } catch (error) {
+    logger.error(`Ladybug CDN - Error reading history of ${entry.path}`, error.message);
+    return { commitSha: null, uploadedAt: null };
+  }
+}
+
+async function indexLocation(driver, location, { makeFileId, baseUrl, history: withHistory = true, onRemoved = () => {} }, reserved, result) {
+  // Uploads registered while the listing runs may not be in it, only records that were there
+  // before it started (and haven't been replaced since) can be judged by it
+  const listed = new Map(registry.listFiles()
+    .filter(record => storage.driverForRecord(record) === driver && (record.repo ?? null) === location)
+    .map(record => [record.fileId, record]));
+  const entries = await driver.list(location);
+  const inStorage = new Map(entries.map(entry => [entry.path, entry]));
+  const records = registry.listFiles().filter(record => listed.get(record.fileId) === record);
+
+  for (const record of records) {
+    if (!inStorage.has(record.chunked ? record.manifestPath : record.path)) {
+      registry.removeFile(record.fileId);
+      result.removed++;
+      onRemoved(record);
+    }
+  }
+
+  const known = new Set(registry.listFiles().flatMap(record => registry.recordPaths(record)));
+  const thumbnails = [];
+  const found = [];
+
+  // Top level files (README and such) are not uploads
+  const candidates = entries.filter(entry => entry.path.includes('/') && !known.has(entry.path) && !PART_FILE.test(entry.path));
+  state.progress = { storage: driver.name, location: location, done: 0, total: candidates.length };
+
+  for (const entry of candidates) {
+    state.progress.done++;
+    const fileName = path.posix.basename(entry.path);
+
+    if (THUMBNAIL_FILE.test(fileName)) {
+      thumbnails.push(entry);
+      continue;
+    }
+
+    let record;
+    if (MANIFEST_FILE.test(fileName)) {
+      let manifest;
+      try {
+        manifest = await readManifest(driver, entry, location);
+      } catch (error) {
+        result.errors.push({ storage: driver.name, location: location, path: entry.path, error: `Unreadable manifest: ${error.message}` });
+        continue;
+      }
+      const filePath = entry.path.replace(MANIFEST_FILE, '');
+      const fileId = fileIdFor(path.posix.basename(filePath), reserved, makeFileId);
+      record = {
+        fileId: fileId,
+        fileName: path.posix.basename(filePath),
+        path: filePath,
+        sha: entry.id,
+        rawUrl: driver.private ? null : `${baseUrl}/api/ladybug/files/${fileId}/download`,
+        fileSize: manifest.fileSize,
+        mimeType: manifest.mimeType,
+        chunked: true,
+        manifestPath: entry.path,
+        parts: manifest.parts.map(part => ({ ...part, sha: inStorage.get(part.path)?.id ?? null }))
+      };
+    } else {
+      record = {
+        fileId: fileIdFor(fileName, reserved, makeFileId),
+        fileName: fileName,
+        path: entry.path,
+        sha: entry.id,
+        rawUrl: driver.publicUrl(entry.path, location, baseUrl),
+        fileSize: entry.size,
+        mimeType: mime.lookup(fileName) || 'application/octet-stream',
+        chunked: false
+      };
+    }
+
+    found.push({ entry, record });
+  }
+
+  // One lookup per file, so they run in batches, or not at all with history: false
+  const histories = [];
+  for (let start = 0; start < found.length; start += HISTORY_BATCH) {
+    histories.push(...await Promise.all(found.slice(start, start + HISTORY_BATCH).map(({ entry }) => withHistory
+      ? historyFor(driver, entry, location)
+      : { commitSha: null, uploadedAt: entry.uploadedAt || null })));
+  }
+
+  const added = found.map(({ record }, index) => {
+    const history = histories[index];
+    return {
+      fileId: record.fileId,
+      fileName: record.fileName,
+      folder: path.posix.dirname(record.path),
+      path: record.path,
+      storage: driver.name,
+      visibility: driver.private ? 'private' : 'public',
+      repo: location,
+      branch: driver.branch || null,
+      sha: record.sha,
+      commitSha: history.commitSha,
+      rawUrl: record.rawUrl,
+      pinnedUrl: !record.chunked && history.commitSha && driver.pinnedUrl ? driver.pinnedUrl(record.path, location, history.commitSha) : null,
+      fileSize: record.fileSize,
+      mimeType: record.mimeType,
+      sha256: null,
+      chunked: record.chunked,
+      manifestPath: record.manifestPath,
+      parts: record.parts,
+      source: 'sync',
+      uploadedAt: history.uploadedAt,
+      indexedAt: new Date().toISOString()
+    };
+  });
+
+  // Thumbnails sit next to their original as "<name>.thumb150.<ext>"
+  for (const entry of thumbnails) {
+    const [, base, name] = path.posix.basename(entry.path).match(THUMBNAIL_FILE);
+    const folder = path.posix.dirname(entry.path);
+    const owner = added.find(record => record.folder === folder && record.fileName.replace(/\.[^.]+$/, '') === base);
+    if (!owner) continue;
+    owner.variants = {
+      ...owner.variants,
+      [name]: {
+        path: entry.path,
+        sha: entry.id,
+        rawUrl: driver.publicUrl(entry.path, location, baseUrl),
+        fileSize: entry.size,
+        mimeType: mime.lookup(entry.path) || 'application/octet-stream'
+      }
+    };
+  }
+
+  for (const record of added) {
+    registry.addFile(record, null);
+  }
+  result.added += added.length;
+  result.locations.push({ storage: driver.name, location: location, files: entries.length, added: added.length });
+}
+
+// options: { makeFileId(reserved), baseUrl, history (default true, false skips the commit
+// lookups), onRemoved(record) }. Resolves with the summary
+async function syncIndex(options) {
+  if (state.running) {
+    const error = new Error('An index sync is already running');
+    error.code = 'SYNC_RUNNING';
+    throw error;
+  }
+
+  Object.assign(state, { running: true, startedAt: new Date().toISOString(), finishedAt: null, progress: null, result: null, error: null });
+  const result = { locations: [], added: 0, removed: 0, errors: [] };
+  const reserved = new Set();
+
+  try {
+    for (const driver of storage.activeDrivers()) {
+      for (const location of driver.locations()) {
+        try {
+          await indexLocation(driver, location, options, reserved, result);
+        } catch (error) {
+          logger.error(`Ladybug CDN - Error indexing ${driver.name} ${location || ''}`, error.message);
+          result.errors.push({ storage: driver.name, location: location, error: error.message });
+        }
+      }
+    }
+    state.result = result;
+    return result;
+  } catch (error) {
+    state.error = error.message;
+    throw error;
+  } finally {
+    Object.assign(state, { running: false, finishedAt: new Date().toISOString(), progress: null });
+  }
+}
+
+function getSyncState() {
+  return { ...state };
+}
+
+module.exports = {
+  syncIndex,
+  getSyncState
+};
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const { createStore } = require('./store');
+const logger = require('./logger');
+const remote = require('./remote');
+
+// Webhook subscriptions and their delivery log. Every matching subscription gets its own
+// delivery, POSTed as JSON and signed like "X-Ladybug-Signature: t=<unix>,v1=<hex>" where
+// v1 is the HMAC-SHA256 of "<t>.<body>" with the subscription's secret. Failed deliveries
+// are retried with exponential backoff by a background worker. Endpoints on private or
+// reserved addresses are refused like /api/ladybug/upload-url's, see lib/remote.js.
+
+const EVENTS = ['upload.succeeded', 'upload.failed', 'file.deleted', 'file.expired'];
+
+const MAX_ATTEMPTS = parseInt(config.webhookMaxAttempts) || 6;
+const RETRY_DELAY = parseInt(config.webhookRetryDelay) || 10 * 1000;
+const DELIVERY_TIMEOUT = parseInt(config.webhookTimeout) || 10 * 1000;
+const DELIVERY_LOG_SIZE = parseInt(config.webhookDeliveryLogSize) || 500;
+
+const hooks = createStore('webhooks');
+const deliveries = createStore('webhookdeliveries');
+const inFlight = new Set();
+let timer = null;
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// The secret is only ever returned when the webhook is created
+function createWebhook({ url, events, folders, description, active = true }) {
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  const id = newId('wh');
+
+  const record = hooks.set(id, {
+    id: id,
+    url: url,
+    events: events,
+    folders: folders,
+    description: description,
+    secret: secret,
+    active: active,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  });
+
+  return { secret, record };
+}
+
+function getWebhook(id) {
+  return hooks.get(id);
+}
+
+function listWebhooks() {
+  return hooks.all();
+}
+
+function updateWebhook(id, changes) {
+  const record = hooks.get(id);
+  if (!record) return null;
+  return hooks.set(id, { ...record, ...changes, updatedAt: new Date().toISOString() });
+}
+
+// Removes the subscription, its delivery log goes with it
+function deleteWebhook(id) {
+  const record = hooks.get(id);
+  if (!record) return null;
+  hooks.remove(id);
+  for (const delivery of deliveries.all().filter(item => item.webhookId === id)) {
+    deliveries.remove(delivery.id);
+  }
+  return record;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function matches(hook, event, folder) {
+  return hook.active && hook.events.includes(event) && (!hook.folders || hook.folders.includes(folder));
+}
+
+// Keeps the log at DELIVERY_LOG_SIZE, finished deliveries go first, oldest first
+function pruneDeliveries() {
+  const finished = deliveries.all()
+    .filter(delivery => delivery.status !== 'pending')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  let excess = deliveries.all().length - DELIVERY_LOG_SIZE;
+  for (const delivery of finished) {
+    if (excess-- <= 0) break;
+    deliveries.remove(delivery.id);
+  }
+}
+
+async function attempt(deliveryId) {
+  if (inFlight.has(deliveryId)) return;
+  inFlight.add(deliveryId);
+
+  try {
+    const delivery = deliveries.get(deliveryId);
+    const hook = delivery && hooks.get(delivery.webhookId);
+    if (!delivery || !hook) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let outcome;
+
+    try {
+      remote.checkHost(new URL(hook.url));
+      const response = await axios.post(hook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Ladybug-CDN-Webhooks',
+          'X-Ladybug-Event': delivery.event,
+          'X-Ladybug-Delivery': delivery.id,
+          'X-Ladybug-Signature': `t=${timestamp},v1=${sign(hook.secret, timestamp, body)}`
+        },
+        timeout: DELIVERY_TIMEOUT,
+        maxRedirects: 0,
+        proxy: false,
+        ...remote.agents,
+        validateStatus: () => true
+      });
+      outcome = {
+        statusCode: response.status,
+        error: response.status >= 200 && response.status < 300 ? null : `Endpoint answered ${response.status}`
+      };
+    } catch (error) {
+      outcome = { statusCode: null, error: error.message };
+    }
+
+    // The webhook was deleted while this attempt was on the wire
+    if (!deliveries.has(deliveryId)) return;
+
+    const attempts = [...delivery.attempts, { at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, ...outcome }];
+    const done = !outcome.error;
+    const givenUp = !done && attempts.length >= MAX_ATTEMPTS;
+
+    deliveries.set(deliveryId, {
+      ...delivery,
+      status: done ? 'succeeded' : givenUp ? 'failed' : 'pending',
+      attempts: attempts,
+      nextAttemptAt: done || givenUp ? null : new Date(Date.now() + RETRY_DELAY * 2 ** (attempts.length - 1)).toISOString()
+    });
+  } catch (error) {
+    logger.error('Ladybug CDN - Error delivering webhook', error);
+  } finally {
+    inFlight.delete(deliveryId);
+  }
+}
+
+function createDelivery(hook, payload, replayOf = null) {
+  const id = newId('dlv');
+  return deliveries.set(id, {
+    id: id,
+    webhookId: hook.id,
+    event: payload.event,
+    payload: payload,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: new Date().toISOString(),
+    replayOf: replayOf,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Fires an event at every matching subscription. Never throws and never waits on a
+// delivery, so it is safe to call from request handlers. folder filters subscriptions.
+function emit(event, folder, data) {
+  try {
+    const payload = { id: newId('evt'), event: event, createdAt: new Date().toISOString(), data: data };
+    for (const hook of hooks.all().filter(item => matches(item, event, folder))) {
+      attempt(createDelivery(hook, payload).id);
+    }
+    pruneDeliveries();
+  } catch (error) {
+    logger.error(`Ladybug CDN - Error emitting ${event} webhook`, error);
+  }
+}
+
+function listDeliveries(webhookId) {
+  return deliveries.all()
+    .filter(delivery => delivery.webhookId === webhookId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getDelivery(id) {
+  return deliveries.get(id);
+}
+
+// Sends a logged delivery's payload again as a new delivery, signed with the current secret
+function replayDelivery(id) {
+  const original = deliveries.get(id);
+  const hook = original && hooks.get(original.webhookId);
+  if (!hook) return null;
+
+  const delivery = createDelivery(hook, original.payload, original.id);
+  attempt(delivery.id);
+  pruneDeliveries();
+  return delivery;
+}
+
+// Retries pending deliveries whose backoff has passed
+async function runRetries(now = Date.now()) {
+  const due = deliveries.all().filter(delivery => delivery.status === 'pending' && Date.parse(delivery.nextAttemptAt) <= now);
+  for (const delivery of due) {
+    await attempt(delivery.id);
+  }
+  return due.length;
+}
+
+function startWebhookWorker(interval) {
+  if (timer || !(interval > 0)) return;
+  timer = setInterval(() => {
+    runRetries().catch(error => {
+      logger.error('Ladybug CDN - Error retrying webhooks', error);
+    });
+  }, interval);
+  timer.unref();
+}
+
+// Strips the signing secret before a subscription goes out in an API response
+function toPublic(record) {
+  const { secret, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  EVENTS,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  emit,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  runRetries,
+  startWebhookWorker,
+  sign,
+  toPublic
+};
@@ -0,0 +1,151 @@
+const config = require('../config');
+const logger = require('./logger');
+
+// In-process queue in front of driver.put and driver.delete. Writes that arrive within
+// COMMIT_BATCH_WINDOW of each other are merged into a single put (one tree commit on GitHub)
+// and a driver only ever has one put or delete in flight, so uploads and deletions stop racing
+// each other for the branch head. Conflicts and rate limits are retried with backoff,
+// honouring Retry-After.
+
+const BATCH_WINDOW = parseInt(config.commitBatchWindow) || 0;
+const BATCH_MAX_FILES = parseInt(config.commitBatchMaxFiles) || 100;
+const MAX_ATTEMPTS = parseInt(config.commitMaxAttempts) || 5;
+const MAX_RETRY_DELAY = parseInt(config.commitMaxRetryDelay) || 60 * 1000;
+const BASE_RETRY_DELAY = 1000;
+
+// driver name -> { pending: [{ operation: 'put' | 'delete', files, options, resolve, reject }], timer, busy }
+const queues = new Map();
+
+// GitHub answers 403 for its secondary rate limits as well as for missing permissions
+function isRateLimited(error) {
+  const { status, headers = {}, data } = error.response || {};
+  if (status === 429) return true;
+  return status === 403 && (
+    headers['retry-after'] !== undefined ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    /rate limit/i.test(data?.message || '')
+  );
+}
+
+// 409 and 422 are the branch head moving under a commit (the contents API and updateRef)
+function isRetryable(error) {
+  return [409, 422].includes(error.response?.status) || isRateLimited(error);
+}
+
+// Retry-After is either seconds or an HTTP date, GitHub's primary limit sends its reset time
+// instead. Without either, exponential backoff with jitter
+function retryDelay(error, attempt) {
+  const headers = error.response?.headers || {};
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) return Math.max(delay, 0);
+  }
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0);
+  }
+  return BASE_RETRY_DELAY * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+}
+
+async function withRetry(operation) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) throw error;
+      const delay = retryDelay(error, attempt);
+      // Better to fail the upload than to hold the request for as long as GitHub asks
+      if (delay > MAX_RETRY_DELAY) throw error;
+      logger.warn('Ladybug CDN - Storage write failed, retrying', { status: error.response.status, delayMs: Math.round(delay), attempt: attempt, maxAttempts: MAX_ATTEMPTS });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Deletions aren't merged, each one has its own location and message
+async function commitDelete(driver, write) {
+  try {
+    write.resolve(await withRetry(() => driver.delete(write.files, write.options)));
+  } catch (error) {
+    write.reject(error);
+  }
+}
+
+async function commit(driver, writes) {
+  if (writes[0].operation === 'delete') {
+    return commitDelete(driver, writes[0]);
+  }
+
+  const message = writes.length === 1 ? writes[0].options.message : `Uploaded via Ladybug CDN - ${writes.length} uploads`;
+  const bytes = writes.reduce((total, write) => total + (write.options.bytes || 0), 0);
+
+  try {
+    const stored = await withRetry(() => driver.put(writes.flatMap(write => write.files), { message, bytes }));
+    writes.forEach(write => write.resolve(stored));
+  } catch (error) {
+    if (writes.length > 1 && !isRetryable(error)) {
+      // One bad write shouldn't take the ones merged with it down, so each goes again alone
+      for (const write of writes) {
+        await commit(driver, [write]);
+      }
+      return;
+    }
+    writes.forEach(write => write.reject(error));
+  }
+}
+
+// Takes puts off the front of the queue up to BATCH_MAX_FILES files, always at least one
+// write. A deletion goes alone, in its place in the queue
+function nextBatch(queue) {
+  const batch = [queue.pending.shift()];
+  if (batch[0].operation === 'delete') return batch;
+  let files = batch[0].files.length;
+  while (queue.pending.length && queue.pending[0].operation === 'put' && files + queue.pending[0].files.length <= BATCH_MAX_FILES) {
+    files += queue.pending[0].files.length;
+    batch.push(queue.pending.shift());
+  }
+  return batch;
+}
+
+function schedule(driver, queue, delay) {
+  if (queue.busy || queue.timer || !queue.pending.length) return;
+  queue.timer = setTimeout(async () => {
+    queue.timer = null;
+    queue.busy = true;
+    try {
+      await commit(driver, nextBatch(queue));
+    } finally {
+      queue.busy = false;
+      // Whatever queued up meanwhile has already waited long enough
+      schedule(driver, queue, 0);
+    }
+  }, delay);
+}
+
+function enqueue(driver, operation, files, options) {
+  if (!queues.has(driver.name)) {
+    queues.set(driver.name, { pending: [], timer: null, busy: false });
+  }
+  const queue = queues.get(driver.name);
+
+  return new Promise((resolve, reject) => {
+    queue.pending.push({ operation, files, options, resolve, reject });
+    schedule(driver, queue, BATCH_WINDOW);
+  });
+}
+
+// Same contract as driver.put, merged writes share the location and commitSha they resolve with
+function put(driver, files, options) {
+  return enqueue(driver, 'put', files, options);
+}
+
+// Same contract as driver.delete
+function remove(driver, objects, options) {
+  return enqueue(driver, 'delete', objects, options);
+}
+
+module.exports = {
+  put,
+  remove
+};
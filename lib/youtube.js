@@ -0,0 +1,99 @@
+const ytdl = require('ytdl-core');
+
+// Error carrying the API error code for a quality/itag that cannot be served
+function formatError(message, code, available) {
+  const error = new Error(message);
+  error.code = code;
+  error.available = available;
+  return error;
+}
+
+// Everything Ladybug needs from ytdl goes through this object, so a test can swap
+// openFormat for a local media fixture without touching YouTube.
+module.exports = {
+  validateURL(url) {
+    return ytdl.validateURL(url);
+  },
+
+  getInfo(url) {
+    return ytdl.getInfo(url);
+  },
+
+  filterFormats(formats, filter) {
+    return ytdl.filterFormats(formats, filter);
+  },
+
+  // Throws when nothing matches the requested quality
+  chooseFormat(formats, options) {
+    return ytdl.chooseFormat(formats, options);
+  },
+
+  openFormat(info, format) {
+    return ytdl.downloadFromInfo(info, { format });
+  },
+
+  describeFormat(format) {
+    return {
+      itag: format.itag,
+      container: format.container,
+      mimeType: format.mimeType,
+      codecs: format.codecs,
+      videoCodec: format.videoCodec || null,
+      audioCodec: format.audioCodec || null,
+      hasVideo: format.hasVideo,
+      hasAudio: format.hasAudio,
+      qualityLabel: format.qualityLabel || null,
+      resolution: format.width && format.height ? `${format.width}x${format.height}` : null,
+      fps: format.fps || null,
+      bitrate: format.bitrate || null,
+      audioBitrate: format.audioBitrate || null,
+      fileSize: format.contentLength ? Number(format.contentLength) : null
+    };
+  },
+
+  // Resolves a quality ('highest', 'lowest', '720p', '1080') or itag to { video, audio }.
+  // audio is only set when the video stream has no sound and has to be muxed with it.
+  selectVideoFormats(formats, { quality = 'highest', itag } = {}) {
+    const progressive = this.filterFormats(formats, 'videoandaudio');
+    const videoOnly = this.filterFormats(formats, 'videoonly');
+    const audioOnly = this.filterFormats(formats, 'audioonly');
+    const available = [...new Set([...progressive, ...videoOnly].map(format => format.qualityLabel).filter(Boolean))];
+
+    // Prefer AAC audio so the muxed result stays a plain MP4
+    const bestAudio = () => audioOnly.find(format => format.container === 'mp4') || audioOnly[0];
+
+    if (itag !== undefined && itag !== null && itag !== '') {
+      const format = formats.find(item => String(item.itag) === String(itag));
+      if (!format) {
+        throw formatError(`No format with itag ${itag}`, 'ITAG_NOT_FOUND', formats.map(item => item.itag));
+      }
+      if (!format.hasVideo) {
+        throw formatError(`itag ${itag} is an audio-only format`, 'NOT_A_VIDEO_FORMAT', available);
+      }
+      return format.hasAudio ? { video: format } : { video: format, audio: bestAudio() };
+    }
+
+    if (quality === 'highest' || quality === 'lowest') {
+      if (progressive.length === 0) {
+        throw formatError('No video formats available', 'NO_VIDEO_FORMAT', available);
+      }
+      return { video: quality === 'highest' ? progressive[0] : progressive[progressive.length - 1] };
+    }
+
+    const height = parseInt(quality);
+    const matchesHeight = format => format.height === height || (format.qualityLabel || '').startsWith(`${height}p`);
+
+    const progressiveMatch = progressive.find(matchesHeight);
+    if (progressiveMatch) {
+      return { video: progressiveMatch };
+    }
+
+    const videoMatches = videoOnly.filter(matchesHeight);
+    const videoMatch = videoMatches.find(format => format.container === 'mp4') || videoMatches[0];
+    if (videoMatch && audioOnly.length > 0) {
+      return { video: videoMatch, audio: bestAudio() };
+    }
+
+    throw formatError(`Requested quality is not available: ${quality}`, 'QUALITY_NOT_AVAILABLE', available);
+  }
+};
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGithubStub } = require('./support/github-stub');
+
+// A permanent upload must never be deduplicated onto a file that is about to expire: once
+// the expiry sweep deletes that file, the "permanent" URL would be dead
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-dedupe-'));
+
+let stub;
+let baseUrl;
+let server;
+let expiry;
+
+before(async () => {
+  stub = await startGithubStub();
+  Object.assign(process.env, {
+    PORT: '0',
+    LOG_LEVEL: 'error',
+    DATA_DIR: path.join(tmp, 'data'),
+    STORAGE_DRIVER: 'github',
+    GITHUB_API_URL: stub.url,
+    CDN_PURGE_URL: `${stub.url}/purge`,
+    GITHUB_TOKEN: 'test-token',
+    GITHUB_REPO: 'cdn',
+    REPO_SIZE_CHECK: 'false',
+    EXPIRY_INTERVAL: '0',
+    COMMIT_BATCH_WINDOW: '0'
+  });
+
+  ({ server } = require('../api'));
+  expiry = require('../lib/expiry');
+  // Registered after the app's stores, which flush their last changes on exit
+  process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+  if (!server.listening) await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await stub.close();
+});
+
+async function upload(content, fields = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: 'text/plain' }), 'notes.txt');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  const response = await fetch(`${baseUrl}/api/ladybug/upload`, { method: 'POST', body: form });
+  return response.json();
+}
+
+test('a permanent upload outlives an expiring file with the same bytes', async () => {
+  const content = 'the same bytes, uploaded twice';
+
+  const temporary = await upload(content, { expiresIn: '3600' });
+  assert.strictEqual(temporary.success, true);
+  const temporaryPath = `${temporary.folder}/${temporary.fileName}`;
+
+  const permanent = await upload(content);
+  assert.strictEqual(permanent.success, true);
+  assert.ok(permanent.fileId, 'stored as a file of its own');
+  assert.notStrictEqual(permanent.deduplicated, true);
+  const permanentPath = `${permanent.folder}/${permanent.fileName}`;
+  assert.notStrictEqual(permanentPath, temporaryPath);
+  assert.ok(permanent.rawUrl.endsWith(`/${permanentPath}`));
+
+  const result = await expiry.runExpiry({ now: Date.now() + 2 * 60 * 60 * 1000 });
+  assert.deepStrictEqual(result.deleted, [temporary.fileId]);
+
+  // rawUrl is jsDelivr's copy of the repo path, which has to still be there
+  const files = stub.files('cdn');
+  assert.strictEqual(files[temporaryPath], undefined);
+  assert.strictEqual(files[permanentPath].toString(), content);
+
+  const download = await fetch(`${baseUrl}/api/ladybug/files/${permanent.fileId}/download`, { redirect: 'manual' });
+  assert.strictEqual(download.status, 302);
+  assert.strictEqual(download.headers.get('location'), permanent.rawUrl);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGithubStub } = require('./support/github-stub');
+
+// Expired files on GitHub storage against the stubbed API: a sweep removes every expired
+// file of a repo in one Git Data API commit, a lone file through the contents API
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-expiry-github-'));
+
+let stub;
+let registry;
+let storage;
+let expiry;
+
+before(async () => {
+  stub = await startGithubStub();
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    DATA_DIR: path.join(tmp, 'data'),
+    STORAGE_DRIVER: 'github',
+    GITHUB_API_URL: stub.url,
+    CDN_PURGE_URL: `${stub.url}/purge`,
+    GITHUB_TOKEN: 'test-token',
+    GITHUB_REPO: 'cdn',
+    REPO_SIZE_CHECK: 'false',
+    COMMIT_BATCH_WINDOW: '0'
+  });
+
+  registry = require('../lib/registry');
+  storage = require('../lib/storage');
+  expiry = require('../lib/expiry');
+  // Registered after the stores, which flush their last changes on exit
+  process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+});
+
+after(() => stub.close());
+
+// Commits the files in one go and registers each one, expiring at expiresAt
+async function addStoredFiles(fileIds, expiresAt) {
+  const files = fileIds.map(fileId => ({ path: `documents/${fileId}_note.txt`, content: Buffer.from(fileId) }));
+  const result = await storage.drivers.github.put(files, { message: 'Seed files', bytes: files.length });
+  for (const [fileId, file] of fileIds.map((fileId, i) => [fileId, files[i]])) {
+    registry.addFile({ fileId, fileName: path.posix.basename(file.path), folder: 'documents', path: file.path, storage: 'github', repo: result.location, sha: result.ids[file.path], expiresAt }, null);
+  }
+  return files.map(file => file.path);
+}
+
+// The GitHub API calls since the request log was last cleared, jsDelivr purges left out
+function githubRequests() {
+  return stub.requests
+    .filter(request => !request.path.startsWith('/purge/'))
+    .map(request => `${request.method} ${request.path.replace(/^\/repos\/[^/]+\/[^/]+/, '')}`);
+}
+
+// The sweep purges jsDelivr without waiting for it, resolves once every path was asked for
+async function purged(paths) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const requested = stub.requests.filter(request => request.path.startsWith('/purge/')).map(request => request.path);
+    if (paths.every(filePath => requested.some(purge => purge.endsWith(`/${filePath}`)))) return true;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+test('expired files of one repo go in a single commit', async () => {
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  const expired = await addStoredFiles(['ghA', 'ghB', 'ghC'], past);
+  const [live] = await addStoredFiles(['ghLive'], null);
+  stub.requests.splice(0);
+
+  const result = await expiry.runExpiry();
+
+  assert.deepStrictEqual(result.deleted.sort(), ['ghA', 'ghB', 'ghC']);
+  assert.deepStrictEqual(result.failed, []);
+  const requests = githubRequests();
+  assert.strictEqual(requests.filter(request => request === 'POST /git/trees').length, 1);
+  assert.strictEqual(requests.filter(request => request === 'POST /git/commits').length, 1);
+  assert.strictEqual(requests.filter(request => request.startsWith('PATCH /git/refs/heads/')).length, 1);
+  assert.deepStrictEqual(requests.filter(request => request.startsWith('DELETE ')), []);
+
+  const files = stub.files('cdn');
+  for (const filePath of expired) {
+    assert.strictEqual(files[filePath], undefined);
+  }
+  assert.strictEqual(files[live].toString(), 'ghLive');
+  assert.ok(await purged(expired), 'purged from jsDelivr');
+  assert.ok(registry.hasFile('ghLive'));
+  registry.removeFile('ghLive');
+});
+
+test('a single expired file is deleted through the contents API', async () => {
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  const [expired] = await addStoredFiles(['ghOnly'], past);
+  stub.requests.splice(0);
+
+  const result = await expiry.runExpiry();
+
+  assert.deepStrictEqual(result.deleted, ['ghOnly']);
+  assert.deepStrictEqual(githubRequests(), [`DELETE /contents/${expired}`]);
+  assert.strictEqual(stub.files('cdn')[expired], undefined);
+  assert.ok(await purged([expired]), 'purged from jsDelivr');
+  assert.strictEqual(registry.hasFile('ghOnly'), false);
+});
@@ -0,0 +1,67 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Expired files of the local driver are deleted from disk and dropped from the registry,
+// everything else is left alone
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-expiry-'));
+process.env.DATA_DIR = path.join(tmp, 'data');
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(tmp, 'storage');
+process.env.COMMIT_BATCH_WINDOW = '0';
+
+const registry = require('../lib/registry');
+const storage = require('../lib/storage');
+const expiry = require('../lib/expiry');
+
+const local = storage.drivers.local;
+
+async function addStoredFile(fileId, expiresAt) {
+  const filePath = `documents/${fileId}_note.txt`;
+  await local.put([{ path: filePath, content: Buffer.from(fileId) }]);
+  registry.addFile({ fileId, fileName: `${fileId}_note.txt`, folder: 'documents', path: filePath, storage: 'local', repo: null, sha: null, expiresAt }, null);
+  return path.join(local.root, filePath);
+}
+
+before(() => fs.mkdirSync(process.env.LOCAL_STORAGE_DIR, { recursive: true }));
+// On exit rather than after(), the stores flush their last changes on exit too
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('isExpired only holds for a past expiresAt', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  assert.strictEqual(expiry.isExpired({ expiresAt: '2024-05-31T23:59:59Z' }, now), true);
+  assert.strictEqual(expiry.isExpired({ expiresAt: '2024-06-01T00:00:01Z' }, now), false);
+  assert.strictEqual(expiry.isExpired({ expiresAt: null }, now), false);
+});
+
+test('a sweep deletes expired files and their records, nothing else', async () => {
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const expiredA = await addStoredFile('expA', past);
+  const expiredB = await addStoredFile('expB', past);
+  const live = await addStoredFile('live', future);
+  const permanent = await addStoredFile('perm', null);
+
+  const notified = [];
+  const result = await expiry.runExpiry({ onExpired: record => notified.push(record.fileId) });
+
+  assert.deepStrictEqual(result.deleted.sort(), ['expA', 'expB']);
+  assert.deepStrictEqual(result.failed, []);
+  assert.deepStrictEqual(notified.sort(), ['expA', 'expB']);
+  assert.strictEqual(registry.hasFile('expA'), false);
+  assert.strictEqual(registry.hasFile('expB'), false);
+  assert.strictEqual(fs.existsSync(expiredA), false);
+  assert.strictEqual(fs.existsSync(expiredB), false);
+
+  assert.ok(registry.hasFile('live'));
+  assert.ok(registry.hasFile('perm'));
+  assert.ok(fs.existsSync(live));
+  assert.ok(fs.existsSync(permanent));
+});
+
+test('a sweep with nothing expired deletes nothing', async () => {
+  const result = await expiry.runExpiry();
+  assert.deepStrictEqual(result, { deleted: [], failed: [] });
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGithubStub } = require('./support/github-stub');
+
+// With AUTO_CREATE_REPOS, uploads that find the whole pool full at once must share a single
+// new repo rather than each creating one
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-repos-'));
+
+let stub;
+let repos;
+
+before(async () => {
+  stub = await startGithubStub();
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    DATA_DIR: path.join(tmp, 'data'),
+    GITHUB_API_URL: stub.url,
+    GITHUB_TOKEN: 'test-token',
+    GITHUB_REPO: 'cdn',
+    REPO_SIZE_CHECK: 'false',
+    REPO_SIZE_LIMIT: '100',
+    AUTO_CREATE_REPOS: 'true'
+  });
+
+  repos = require('../lib/repos');
+  // Registered after the store, which flushes its last changes on exit
+  process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+});
+
+after(() => stub.close());
+
+test('concurrent callers on a full pool await the same new repo', async () => {
+  repos.recordWrite('cdn', 100);
+
+  const picked = await Promise.all([10, 20, 30].map(bytes => repos.getActiveRepo(bytes)));
+
+  assert.deepStrictEqual(picked, ['cdn-2', 'cdn-2', 'cdn-2']);
+  assert.strictEqual(stub.requests.filter(request => request.method === 'POST' && request.path === '/user/repos').length, 1);
+  assert.deepStrictEqual(repos.poolRepos(), ['cdn', 'cdn-2']);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sniff = require('../lib/sniff');
+
+function utf16(text, encoding) {
+  const le = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]);
+  return encoding === 'utf16be' ? le.swap16() : le;
+}
+
+test('UTF-16 text with a byte order mark is text, not binary', () => {
+  const csv = 'name,city\r\nZoë,Köln\r\n';
+  assert.deepStrictEqual(sniff.detect(utf16(csv, 'utf16le')), { mime: 'text/plain', text: true });
+  assert.deepStrictEqual(sniff.detect(utf16(csv, 'utf16be')), { mime: 'text/plain', text: true });
+});
+
+test('UTF-16 SVG is still told apart from plain text', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>';
+  assert.deepStrictEqual(sniff.detect(utf16(svg, 'utf16le')), { mime: 'image/svg+xml', text: true });
+  assert.deepStrictEqual(sniff.detect(utf16(svg, 'utf16be')), { mime: 'image/svg+xml', text: true });
+});
+
+test('a byte order mark does not make binary look like text', () => {
+  const frame = Buffer.from([0xFF, 0xFE, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x02]);
+  assert.strictEqual(sniff.detect(frame).mime, 'audio/mpeg');
+  assert.strictEqual(sniff.detect(Buffer.from([0xFF, 0xFB, 0x90, 0x00])).mime, 'audio/mpeg');
+  assert.strictEqual(sniff.detect(Buffer.from('plain\x00text')), null);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-storage-'));
+process.env.DATA_DIR = path.join(tmp, 'data');
+process.env.STORAGE_DRIVER = 'github';
+process.env.STORAGE_ROUTES = 'videos=s3, size>1000=local';
+process.env.LOCAL_STORAGE_DIR = path.join(tmp, 'storage');
+process.env.GITHUB_PRIVATE_REPO = 'private-cdn';
+
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const storage = require('../lib/storage');
+const local = storage.drivers.local;
+
+// Reloads lib/storage with other STORAGE_ROUTES, the routes are parsed when it loads
+function loadWithRoutes(routes) {
+  const previous = process.env.STORAGE_ROUTES;
+  process.env.STORAGE_ROUTES = routes;
+  for (const file of ['../config', '../lib/storage']) {
+    delete require.cache[require.resolve(file)];
+  }
+  try {
+    return require('../lib/storage');
+  } finally {
+    process.env.STORAGE_ROUTES = previous;
+  }
+}
+
+test('uploads go to the first matching route, the default driver otherwise', () => {
+  assert.strictEqual(storage.driverFor({ folder: 'videos', size: 10 }).name, 's3');
+  assert.strictEqual(storage.driverFor({ folder: 'videos', size: 5000 }).name, 's3');
+  assert.strictEqual(storage.driverFor({ folder: 'images', size: 5000 }).name, 'local');
+  assert.strictEqual(storage.driverFor({ folder: 'images', size: 1000 }).name, 'github');
+});
+
+test('private uploads always go to the private repo', () => {
+  assert.strictEqual(storage.driverFor({ folder: 'videos', size: 10, visibility: 'private' }).name, 'github-private');
+  assert.strictEqual(storage.driverFor({ folder: 'images', size: 5000, visibility: 'private' }).name, 'github-private');
+});
+
+test('records are read back with the driver they were stored with', () => {
+  assert.strictEqual(storage.driverForRecord({ storage: 'local' }).name, 'local');
+  // Records from before there were drivers have no storage field
+  assert.strictEqual(storage.driverForRecord({}).name, 'github');
+});
+
+test('every driver a route or the private repo can pick is active', () => {
+  assert.deepStrictEqual(storage.activeDrivers().map(driver => driver.name), ['github', 's3', 'local', 'github-private']);
+});
+
+test('routes to unknown or private drivers are refused', () => {
+  assert.throws(() => loadWithRoutes('videos=dropbox'), /Unknown storage driver "dropbox"/);
+  assert.throws(() => loadWithRoutes('videos=github-private'), /private storage only takes visibility=private/);
+});
+
+test('the local driver stores, lists, reads and deletes under its root', async () => {
+  await local.put([{ path: 'documents/a_note.txt', content: Buffer.from('hello') }]);
+  assert.deepStrictEqual((await local.list()).map(entry => [entry.path, entry.size]), [['documents/a_note.txt', 5]]);
+
+  const chunks = [];
+  for await (const chunk of await local.get('documents/a_note.txt')) chunks.push(chunk);
+  assert.strictEqual(Buffer.concat(chunks).toString(), 'hello');
+
+  await local.delete([{ path: 'documents/a_note.txt' }, { path: 'documents/already_gone.txt' }]);
+  assert.deepStrictEqual(await local.list(), []);
+});
+
+test('the local driver refuses paths that leave its root', async () => {
+  const escapes = ['../escape.txt', 'documents/../../escape.txt', '/etc/passwd', `../${path.basename(local.root)}-sibling/a.txt`, ''];
+  for (const filePath of escapes) {
+    await assert.rejects(local.put([{ path: filePath, content: Buffer.from('x') }]), /Invalid storage path/, filePath);
+    await assert.rejects(local.get(filePath), /Invalid storage path/, filePath);
+    await assert.rejects(local.delete([{ path: filePath }]), /Invalid storage path/, filePath);
+  }
+  assert.strictEqual(fs.existsSync(path.join(tmp, 'escape.txt')), false);
+  assert.strictEqual(fs.existsSync(path.join(tmp, 'storage-sibling')), false);
+});
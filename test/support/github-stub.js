@@ -0,0 +1,196 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// In-memory stand-in for the parts of the GitHub API lib/github.js uses: the contents API,
+// the git data API (blobs, trees, commits, refs), commit history and repo creation, plus
+// jsDelivr's purge endpoint under /purge. Each repo is a chain of commits over flat trees
+// (path -> blob SHA). Every request is kept in requests for tests to assert on.
+
+function randomSha() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+function blobSha(content) {
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+function startGithubStub() {
+  const repos = new Map();
+  const requests = [];
+
+  function repo(name) {
+    if (!repos.has(name)) {
+      const treeSha = randomSha();
+      const commitSha = randomSha();
+      repos.set(name, {
+        head: commitSha,
+        commits: { [commitSha]: { tree: treeSha, parent: null, date: new Date().toISOString() } },
+        trees: { [treeSha]: {} },
+        blobs: {}
+      });
+    }
+    return repos.get(name);
+  }
+
+  function headTree(state) {
+    return state.trees[state.commits[state.head].tree];
+  }
+
+  function commitTree(state, tree) {
+    const treeSha = randomSha();
+    const commitSha = randomSha();
+    state.trees[treeSha] = tree;
+    state.commits[commitSha] = { tree: treeSha, parent: state.head, date: new Date().toISOString() };
+    state.head = commitSha;
+    return commitSha;
+  }
+
+  function storeBlob(state, base64) {
+    const content = Buffer.from(base64, 'base64');
+    const sha = blobSha(content);
+    state.blobs[sha] = content;
+    return sha;
+  }
+
+  function handle(req, body, send) {
+    const url = new URL(req.url, 'http://stub');
+
+    if (url.pathname.startsWith('/purge/')) {
+      return send(200, { id: 'purge', status: 'finished', paths: { [url.pathname.slice('/purge'.length)]: { throttled: false } } });
+    }
+    if (url.pathname === '/user/repos' && req.method === 'POST') {
+      repo(body.name);
+      return send(201, { name: body.name, private: Boolean(body.private) });
+    }
+
+    const match = url.pathname.match(/^\/repos\/[^/]+\/([^/]+)(\/.*)?$/);
+    if (!match) {
+      return send(404, { message: 'Not Found' });
+    }
+    const state = repo(match[1]);
+    const route = match[2] || '';
+    let params;
+
+    if (route === '' && req.method === 'GET') {
+      const size = Object.values(state.blobs).reduce((total, blob) => total + blob.length, 0);
+      return send(200, { name: match[1], private: /private/.test(match[1]), size: Math.round(size / 1024) });
+    }
+
+    if ((params = route.match(/^\/contents\/(.+)$/))) {
+      const filePath = decodeURIComponent(params[1]);
+      const tree = { ...headTree(state) };
+      if (req.method === 'PUT') {
+        if (tree[filePath] && body.sha !== tree[filePath]) {
+          return send(422, { message: '"sha" wasn\'t supplied.' });
+        }
+        tree[filePath] = storeBlob(state, body.content);
+        const commitSha = commitTree(state, tree);
+        return send(201, { content: { path: filePath, sha: tree[filePath] }, commit: { sha: commitSha } });
+      }
+      if (req.method === 'DELETE') {
+        if (!tree[filePath]) {
+          return send(404, { message: 'Not Found' });
+        }
+        delete tree[filePath];
+        return send(200, { commit: { sha: commitTree(state, tree) } });
+      }
+    }
+
+    if (route === '/commits' && req.method === 'GET') {
+      const filePath = url.searchParams.get('path');
+      const commit = state.commits[state.head];
+      return send(200, headTree(state)[filePath] ? [{ sha: state.head, commit: { committer: { date: commit.date } } }] : []);
+    }
+
+    if ((params = route.match(/^\/git\/ref\/heads\/(.+)$/))) {
+      return send(200, { object: { sha: state.head } });
+    }
+    if ((params = route.match(/^\/git\/refs\/heads\/(.+)$/)) && req.method === 'PATCH') {
+      if (state.commits[body.sha]?.parent !== state.head) {
+        return send(422, { message: 'Update is not a fast forward' });
+      }
+      state.head = body.sha;
+      return send(200, { object: { sha: body.sha } });
+    }
+    if ((params = route.match(/^\/git\/commits\/(.+)$/)) && req.method === 'GET') {
+      return send(200, { sha: params[1], tree: { sha: state.commits[params[1]].tree } });
+    }
+    if (route === '/git/commits' && req.method === 'POST') {
+      const commitSha = randomSha();
+      state.commits[commitSha] = { tree: body.tree, parent: body.parents[0], date: new Date().toISOString() };
+      return send(201, { sha: commitSha });
+    }
+
+    if (route === '/git/blobs' && req.method === 'POST') {
+      return send(201, { sha: storeBlob(state, body.content) });
+    }
+    if ((params = route.match(/^\/git\/blobs\/(.+)$/))) {
+      const blob = state.blobs[params[1]];
+      if (!blob) {
+        return send(404, { message: 'Not Found' });
+      }
+      if ((req.headers.accept || '').includes('raw')) {
+        return send(200, blob);
+      }
+      return send(200, { sha: params[1], content: blob.toString('base64'), encoding: 'base64' });
+    }
+
+    if (route === '/git/trees' && req.method === 'POST') {
+      const tree = { ...(state.trees[body.base_tree] || {}) };
+      for (const entry of body.tree) {
+        if (entry.sha === null && !(entry.path in tree)) {
+          return send(422, { message: 'GitRPC::BadObjectState' });
+        }
+        if (entry.sha === null) {
+          delete tree[entry.path];
+        } else {
+          tree[entry.path] = entry.sha;
+        }
+      }
+      const treeSha = randomSha();
+      state.trees[treeSha] = tree;
+      return send(201, { sha: treeSha });
+    }
+    if ((params = route.match(/^\/git\/trees\/(.+)$/)) && req.method === 'GET') {
+      const entries = Object.entries(headTree(state))
+        .map(([entryPath, sha]) => ({ path: entryPath, type: 'blob', mode: '100644', sha: sha, size: state.blobs[sha].length }));
+      return send(200, { sha: state.commits[state.head].tree, truncated: false, tree: entries });
+    }
+
+    send(404, { message: `Stub has no ${req.method} ${url.pathname}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString();
+      requests.push({ method: req.method, path: req.url.split('?')[0] });
+      handle(req, raw ? JSON.parse(raw) : {}, (status, payload) => {
+        if (Buffer.isBuffer(payload)) {
+          res.writeHead(status, { 'Content-Type': 'application/octet-stream' });
+          return res.end(payload);
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests: requests,
+        // path -> content of the repo's current head
+        files(name) {
+          const state = repo(name);
+          return Object.fromEntries(Object.entries(headTree(state)).map(([entryPath, sha]) => [entryPath, state.blobs[sha]]));
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startGithubStub };
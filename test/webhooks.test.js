@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Webhook endpoints go through the same private address guard as /api/ladybug/upload-url:
+// refused when saved and, should one slip through, never connected to when delivering
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-webhooks-'));
+process.env.LOG_LEVEL = 'error';
+process.env.DATA_DIR = path.join(tmp, 'data');
+
+const remote = require('../lib/remote');
+const webhooks = require('../lib/webhooks');
+
+// Registered after the stores, which flush their last changes on exit
+process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let endpoint;
+const received = [];
+
+before(async () => {
+  endpoint = http.createServer((req, res) => {
+    received.push(req.url);
+    res.end();
+  });
+  endpoint.listen(0, '127.0.0.1');
+  await once(endpoint, 'listening');
+});
+
+after(() => endpoint.close());
+
+// Resolves with the delivery once its first attempt is logged
+async function firstAttempt(webhookId) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const [delivery] = webhooks.listDeliveries(webhookId);
+    if (delivery && delivery.attempts.length > 0) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('No delivery attempt');
+}
+
+test('checkPublicUrl refuses private literals and names that resolve to them', async () => {
+  for (const url of ['http://127.0.0.1/hook', 'http://10.1.2.3/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest', 'http://localhost:8080/hook']) {
+    await assert.rejects(remote.checkPublicUrl(url), { code: 'BLOCKED_ADDRESS' }, url);
+  }
+  const url = await remote.checkPublicUrl('https://93.184.216.34/hook');
+  assert.strictEqual(url.hostname, '93.184.216.34');
+});
+
+for (const host of ['127.0.0.1', 'localhost']) {
+  test(`a delivery to ${host} is never sent`, async () => {
+    const { record } = webhooks.createWebhook({ url: `http://${host}:${endpoint.address().port}/hook`, events: webhooks.EVENTS, folders: null, description: '' });
+
+    webhooks.emit('upload.succeeded', 'documents', { fileId: 'f1' });
+    const delivery = await firstAttempt(record.id);
+
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts[0].statusCode, null);
+    assert.match(delivery.attempts[0].error, /private or reserved address/);
+    assert.deepStrictEqual(received, []);
+    webhooks.deleteWebhook(record.id);
+  });
+}
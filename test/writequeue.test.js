@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.COMMIT_BATCH_WINDOW = '30';
+process.env.COMMIT_BATCH_MAX_FILES = '3';
+process.env.COMMIT_MAX_ATTEMPTS = '3';
+
+const writeQueue = require('../lib/writequeue');
+
+// A driver that records its calls, fail(operation, items, call) throws to fail a call
+let drivers = 0;
+function fakeDriver(fail = () => {}) {
+  const calls = [];
+  const driver = {
+    name: `fake-${++drivers}`,
+    calls: calls,
+    async put(files, options) {
+      calls.push({ operation: 'put', paths: files.map(file => file.path), options });
+      fail('put', files, calls.length);
+      return { location: 'repo', commitSha: `commit-${calls.length}`, ids: {} };
+    },
+    async delete(objects, options) {
+      calls.push({ operation: 'delete', paths: objects.map(object => object.path), options });
+      fail('delete', objects, calls.length);
+    }
+  };
+  return driver;
+}
+
+function httpError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+const file = filePath => ({ path: filePath, content: Buffer.from(filePath) });
+
+test('writes within the batch window are merged into one put', async () => {
+  const driver = fakeDriver();
+  const results = await Promise.all([
+    writeQueue.put(driver, [file('a')], { message: 'one', bytes: 1 }),
+    writeQueue.put(driver, [file('b')], { message: 'two', bytes: 2 })
+  ]);
+
+  assert.strictEqual(driver.calls.length, 1);
+  assert.deepStrictEqual(driver.calls[0].paths, ['a', 'b']);
+  assert.deepStrictEqual(driver.calls[0].options, { message: 'Uploaded via Ladybug CDN - 2 uploads', bytes: 3 });
+  assert.strictEqual(results[0].commitSha, 'commit-1');
+  assert.strictEqual(results[1].commitSha, 'commit-1');
+});
+
+test('a single write keeps its own message', async () => {
+  const driver = fakeDriver();
+  await writeQueue.put(driver, [file('a')], { message: 'Uploaded via Ladybug CDN - a', bytes: 1 });
+  assert.strictEqual(driver.calls[0].options.message, 'Uploaded via Ladybug CDN - a');
+});
+
+test('a batch stops at COMMIT_BATCH_MAX_FILES files', async () => {
+  const driver = fakeDriver();
+  await Promise.all([
+    writeQueue.put(driver, [file('a'), file('b')], { bytes: 2 }),
+    writeQueue.put(driver, [file('c'), file('d')], { bytes: 2 }),
+    writeQueue.put(driver, [file('e')], { bytes: 1 })
+  ]);
+
+  assert.deepStrictEqual(driver.calls.map(call => call.paths), [['a', 'b'], ['c', 'd', 'e']]);
+});
+
+test('conflicts are retried, honouring Retry-After', async () => {
+  const driver = fakeDriver((operation, files, call) => {
+    if (call === 1) throw httpError(409, { 'retry-after': '0' });
+  });
+  const result = await writeQueue.put(driver, [file('a')], { bytes: 1 });
+
+  assert.strictEqual(driver.calls.length, 2);
+  assert.strictEqual(result.commitSha, 'commit-2');
+});
+
+test('rate limits are retried, other errors are not', async () => {
+  const limited = fakeDriver((operation, files, call) => {
+    if (call === 1) throw httpError(403, { 'retry-after': '0' });
+  });
+  await writeQueue.put(limited, [file('a')], { bytes: 1 });
+  assert.strictEqual(limited.calls.length, 2);
+
+  const forbidden = fakeDriver(() => {
+    throw httpError(403);
+  });
+  await assert.rejects(writeQueue.put(forbidden, [file('a')], { bytes: 1 }), /HTTP 403/);
+  assert.strictEqual(forbidden.calls.length, 1);
+});
+
+test('a write gives up after COMMIT_MAX_ATTEMPTS tries', async () => {
+  const driver = fakeDriver(() => {
+    throw httpError(409, { 'retry-after': '0' });
+  });
+  await assert.rejects(writeQueue.put(driver, [file('a')], { bytes: 1 }), /HTTP 409/);
+  assert.strictEqual(driver.calls.length, 3);
+});
+
+test('a Retry-After longer than COMMIT_MAX_RETRY_DELAY fails right away', async () => {
+  const driver = fakeDriver(() => {
+    throw httpError(429, { 'retry-after': '3600' });
+  });
+  await assert.rejects(writeQueue.put(driver, [file('a')], { bytes: 1 }), /HTTP 429/);
+  assert.strictEqual(driver.calls.length, 1);
+});
+
+test('a failing write in a merged batch only fails itself', async () => {
+  const driver = fakeDriver((operation, files) => {
+    if (files.some(item => item.path === 'bad')) throw httpError(400);
+  });
+  const [good, bad, other] = await Promise.allSettled([
+    writeQueue.put(driver, [file('a')], { bytes: 1 }),
+    writeQueue.put(driver, [file('bad')], { bytes: 1 }),
+    writeQueue.put(driver, [file('c')], { bytes: 1 })
+  ]);
+
+  assert.strictEqual(good.status, 'fulfilled');
+  assert.strictEqual(bad.status, 'rejected');
+  assert.strictEqual(other.status, 'fulfilled');
+  assert.deepStrictEqual(driver.calls.map(call => call.paths), [['a', 'bad', 'c'], ['a'], ['bad'], ['c']]);
+});
+
+test('deletions wait their turn in the queue and are never merged', async () => {
+  const driver = fakeDriver();
+  await Promise.all([
+    writeQueue.put(driver, [file('a')], { bytes: 1 }),
+    writeQueue.remove(driver, [{ path: 'x', id: '1' }], { message: 'Deleted x', location: 'repo' }),
+    writeQueue.remove(driver, [{ path: 'y', id: '2' }], { message: 'Deleted y', location: 'repo' }),
+    writeQueue.put(driver, [file('b')], { bytes: 1 })
+  ]);
+
+  assert.deepStrictEqual(driver.calls.map(call => [call.operation, call.paths]), [
+    ['put', ['a']],
+    ['delete', ['x']],
+    ['delete', ['y']],
+    ['put', ['b']]
+  ]);
+  assert.deepStrictEqual(driver.calls[1].options, { message: 'Deleted x', location: 'repo' });
+});
+
+test('deletions are retried on conflicts', async () => {
+  const driver = fakeDriver((operation, objects, call) => {
+    if (call === 1) throw httpError(422, { 'retry-after': '0' });
+  });
+  await writeQueue.remove(driver, [{ path: 'x', id: '1' }], { message: 'Deleted x', location: 'repo' });
+  assert.strictEqual(driver.calls.length, 2);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// /api/ladybug/ytmp3 against a local WAV instead of YouTube: lib/youtube.js is swapped for a
+// fake video whose only audio format opens the fixture, ffmpeg does the real transcode.
+// Needs an ffmpeg binary, FFMPEG_PATH or the one on PATH
+const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+const hasFfmpeg = !spawnSync(ffmpegPath, ['-version']).error;
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-ytmp3-'));
+const fixture = path.join(tmp, 'tone.wav');
+
+let baseUrl;
+let server;
+
+// Half a second of a 440 Hz tone, 8 kHz mono 16-bit PCM
+function toneWav(seconds = 0.5, sampleRate = 8000) {
+  const samples = Math.round(seconds * sampleRate);
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    wav.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000), 44 + i * 2);
+  }
+  return wav;
+}
+
+// An MP3 starts with an ID3 tag or a frame sync
+function isMp3(buffer) {
+  return buffer.subarray(0, 3).toString() === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0);
+}
+
+before(async () => {
+  fs.writeFileSync(fixture, toneWav());
+  Object.assign(process.env, {
+    PORT: '0',
+    LOG_LEVEL: 'error',
+    DATA_DIR: path.join(tmp, 'data'),
+    STORAGE_DRIVER: 'local',
+    LOCAL_STORAGE_DIR: path.join(tmp, 'storage'),
+    COMMIT_BATCH_WINDOW: '0'
+  });
+
+  const youtube = require('../lib/youtube');
+  Object.assign(youtube, {
+    validateURL: () => true,
+    getInfo: async () => ({
+      videoDetails: { title: 'Fixture Tone', author: { name: 'Ladybug' }, lengthSeconds: '1', thumbnails: [] },
+      formats: [{ itag: 140, url: 'https://example.invalid/tone', mimeType: 'audio/wav', container: 'wav', hasAudio: true, hasVideo: false, audioBitrate: 128 }]
+    }),
+    openFormat: () => fs.createReadStream(fixture)
+  });
+
+  ({ server } = require('../api'));
+  // Registered after the app's stores, which flush their last changes on exit
+  process.on('exit', () => fs.rmSync(tmp, { recursive: true, force: true }));
+  if (!server.listening) await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function ytmp3(body) {
+  return fetch(`${baseUrl}/api/ladybug/ytmp3`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=fixture', ...body })
+  });
+}
+
+test('mode=stream streams the transcoded MP3 back', { skip: !hasFfmpeg && 'no ffmpeg binary' }, async () => {
+  const response = await ytmp3({ mode: 'stream', bitrate: 64 });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'audio/mpeg');
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="Fixture-Tone\.mp3"/);
+
+  const mp3 = Buffer.from(await response.arrayBuffer());
+  assert.ok(mp3.length > 0);
+  assert.ok(isMp3(mp3), 'starts like an MP3');
+});
+
+test('mode=cdn stores the MP3 through the upload path', { skip: !hasFfmpeg && 'no ffmpeg binary' }, async () => {
+  const response = await ytmp3({ mode: 'cdn', bitrate: 64 });
+  const body = await response.json();
+  assert.strictEqual(response.status, 200, JSON.stringify(body));
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.data.format, 'mp3');
+  assert.strictEqual(body.data.quality, 64);
+  assert.strictEqual(body.data.folder, 'audio');
+  assert.ok(body.data.fileId);
+
+  const stored = fs.readFileSync(path.join(process.env.LOCAL_STORAGE_DIR, body.data.folder, body.data.fileName));
+  assert.strictEqual(stored.length, body.data.fileSize);
+  assert.ok(isMp3(stored), 'stored as an MP3');
+});